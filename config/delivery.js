@@ -0,0 +1,14 @@
+// Paramètres de suivi des livraisons
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Vitesse moyenne d'un livreur, pour estimer l'heure d'arrivée (km/h)
+  averageSpeedKmh: toNumber(process.env.DELIVERY_AVERAGE_SPEED_KMH, 20),
+  // Rapport entre le trajet réel et la distance à vol d'oiseau
+  routeFactor: 1.3,
+  // Une position plus ancienne n'est plus utilisée pour l'estimation (minutes)
+  locationMaxAgeMinutes: 10
+};
@@ -0,0 +1,34 @@
+// Les 14 allergènes à déclaration obligatoire dans l'Union européenne
+const ALLERGENS = {
+  gluten: 'Céréales contenant du gluten',
+  crustaceans: 'Crustacés',
+  eggs: 'Œufs',
+  fish: 'Poissons',
+  peanuts: 'Arachides',
+  soybeans: 'Soja',
+  milk: 'Lait',
+  nuts: 'Fruits à coque',
+  celery: 'Céleri',
+  mustard: 'Moutarde',
+  sesame: 'Graines de sésame',
+  sulphites: 'Anhydride sulfureux et sulfites',
+  lupin: 'Lupin',
+  molluscs: 'Mollusques'
+};
+
+const DIETARY_TAGS = {
+  vegetarian: 'Végétarien',
+  vegan: 'Végan',
+  halal: 'Halal'
+};
+
+// Niveau de piquant : 0 (pas piquant) à 3 (très piquant)
+const MAX_SPICY_LEVEL = 3;
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_KEYS: Object.keys(ALLERGENS),
+  DIETARY_TAGS,
+  DIETARY_TAG_KEYS: Object.keys(DIETARY_TAGS),
+  MAX_SPICY_LEVEL
+};
@@ -0,0 +1,21 @@
+const path = require('path');
+
+// Paramètres du stockage et du traitement des images du menu
+module.exports = {
+  // Adaptateur de stockage utilisé (voir services/storage)
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Dossier des fichiers pour le stockage local
+  uploadDir: path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads'),
+  // URL publique sous laquelle les fichiers sont servis
+  publicPath: '/uploads',
+  maxFileSize: 5 * 1024 * 1024,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  // Largeurs (en pixels) des variantes générées pour chaque image
+  variants: {
+    thumbnail: 200,
+    medium: 600,
+    large: 1200
+  },
+  // Durée de mise en cache des fichiers servis (noms uniques, donc immuables)
+  cacheMaxAge: '30d'
+};
@@ -0,0 +1,26 @@
+// Paramètres des moyens de paiement (voir services/payments)
+const toList = (value, fallback) =>
+  value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+
+module.exports = {
+  currency: (process.env.PAYMENT_CURRENCY || 'XAF').toUpperCase(),
+  // Moyens de paiement proposés aux clients. Le fournisseur « fake » n'est
+  // jamais activé par défaut : il doit figurer dans PAYMENT_PROVIDERS, en
+  // développement et dans les tests uniquement.
+  providers: toList(process.env.PAYMENT_PROVIDERS, ['cash']),
+  // Écart maximal accepté entre l'horodatage d'un webhook signé et l'heure du serveur
+  webhookTolerance: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE, 10) || 300,
+  card: {
+    apiUrl: process.env.CARD_API_URL || 'https://api.stripe.com/v1',
+    secretKey: process.env.CARD_SECRET_KEY,
+    webhookSecret: process.env.CARD_WEBHOOK_SECRET
+  },
+  mobileMoney: {
+    apiUrl: process.env.MOBILE_MONEY_API_URL,
+    apiKey: process.env.MOBILE_MONEY_API_KEY,
+    webhookSecret: process.env.MOBILE_MONEY_WEBHOOK_SECRET
+  },
+  fake: {
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET
+  }
+};
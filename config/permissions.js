@@ -0,0 +1,44 @@
+// Permissions accordées à chaque rôle. Les routes vérifient une permission
+// (voir middleware/checkPermission) plutôt qu'une liste de rôles.
+const ROLES = ['client', 'staff', 'admin', 'driver'];
+
+// Rôles des membres du personnel, livreurs compris
+const STAFF_ROLES = ['staff', 'admin', 'driver'];
+
+const STAFF_PERMISSIONS = [
+  'menu:write',
+  'orders:read-all',
+  'orders:update-status',
+  'payments:manage',
+  'deliveries:assign',
+  'reservations:manage',
+  'tables:read',
+  'inventory:manage',
+  'stats:read'
+];
+
+const ROLE_PERMISSIONS = {
+  client: [],
+  // Livreur : ne voit et ne met à jour que les livraisons qui lui sont confiées
+  driver: ['deliveries:run'],
+  staff: STAFF_PERMISSIONS,
+  admin: [
+    ...STAFF_PERMISSIONS,
+    'tables:manage',
+    'categories:manage',
+    'delivery:manage',
+    'staff:manage',
+    'users:manage',
+    'analytics:read'
+  ]
+};
+
+const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
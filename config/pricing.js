@@ -0,0 +1,14 @@
+// Paramètres de tarification appliqués côté serveur aux commandes
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Taux de taxe appliqué au sous-total (ex: 0.1925 pour 19,25 %)
+  taxRate: toNumber(process.env.TAX_RATE, 0),
+  // Frais de service fixes ajoutés à chaque commande
+  serviceFee: toNumber(process.env.SERVICE_FEE, 0),
+  // Frais de livraison forfaitaires, tant qu'aucune zone de livraison n'est définie
+  deliveryFee: toNumber(process.env.DELIVERY_FEE, 0)
+};
@@ -0,0 +1,39 @@
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Nombre lu depuis l'environnement ; 0 est une valeur valide
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const depositPerPerson = parseFloat(process.env.RESERVATION_DEPOSIT_PER_PERSON) || 5000;
+
+// Règles de gestion des réservations par les clients
+module.exports = {
+  // Aucune modification ni annulation en ligne à moins de N heures du créneau
+  changeCutoffHours: toNumber(process.env.RESERVATION_CHANGE_CUTOFF_HOURS, 2),
+  // Acompte demandé pour les réservations sur place. Une règle s'applique à
+  // partir d'une taille de groupe (minPeople) ou à certaines dates (AAAA-MM-JJ) ;
+  // si plusieurs règles s'appliquent, le montant le plus élevé est retenu.
+  deposit: {
+    rules: [
+      {
+        name: 'large_party',
+        minPeople: parseInt(process.env.RESERVATION_DEPOSIT_MIN_PEOPLE, 10) || 7,
+        amountPerPerson: depositPerPerson
+      },
+      {
+        name: 'holiday',
+        dates: list(process.env.RESERVATION_DEPOSIT_DATES),
+        amountPerPerson: depositPerPerson
+      }
+    ],
+    // Délai laissé au client pour régler l'acompte avant l'annulation de sa réservation
+    paymentWindowMinutes: parseInt(process.env.RESERVATION_DEPOSIT_WINDOW_MINUTES, 10) || 60
+  },
+  // Une réservation confirmée dont le client n'est pas arrivé N minutes après
+  // l'heure du créneau est marquée « no_show »
+  noShowGraceMinutes: parseInt(process.env.RESERVATION_NO_SHOW_GRACE_MINUTES, 10) || 30,
+  // Fréquence des vérifications automatiques (acomptes expirés, no-shows)
+  sweepIntervalMinutes: 5
+};
@@ -0,0 +1,5 @@
+// Informations générales sur le restaurant
+module.exports = {
+  // Fuseau horaire utilisé pour découper les statistiques (jours, semaines...)
+  timezone: process.env.RESTAURANT_TIMEZONE || 'Africa/Douala'
+};
@@ -0,0 +1,20 @@
+// Horaires de service du restaurant utilisés pour calculer les créneaux réservables.
+// Les jours sont indexés comme Date#getDay() : 0 = dimanche, 6 = samedi.
+const lunch = { open: '11:30', close: '15:00' };
+const dinner = { open: '18:30', close: '23:00' };
+
+module.exports = {
+  // Intervalle entre deux créneaux proposés (en minutes)
+  slotInterval: 30,
+  // Durée d'occupation d'une table pour une réservation (en minutes)
+  reservationDuration: 120,
+  days: {
+    0: [lunch],
+    1: [],
+    2: [lunch, dinner],
+    3: [lunch, dinner],
+    4: [lunch, dinner],
+    5: [lunch, dinner],
+    6: [lunch, dinner]
+  }
+};
@@ -0,0 +1,101 @@
+// Libellés des colonnes des exports, par langue (le français est la langue par défaut)
+module.exports = {
+  fr: {
+    orders: {
+      orderId: 'N° commande',
+      createdAt: 'Date',
+      customerName: 'Client',
+      customerEmail: 'Email client',
+      status: 'Statut',
+      paymentStatus: 'Paiement',
+      item: 'Article',
+      quantity: 'Quantité',
+      unitPrice: 'Prix unitaire',
+      lineTotal: 'Total ligne',
+      subtotal: 'Sous-total',
+      taxes: 'Taxes',
+      fees: 'Frais',
+      totalAmount: 'Total commande',
+      deliveryAddress: 'Adresse de livraison'
+    },
+    reservations: {
+      reservationId: 'N° réservation',
+      createdAt: 'Créée le',
+      date: 'Date',
+      time: 'Heure',
+      type: 'Type',
+      status: 'Statut',
+      name: 'Nom',
+      email: 'Email',
+      phone: 'Téléphone',
+      numberOfPeople: 'Personnes',
+      address: 'Adresse',
+      totalAmount: 'Montant',
+      specialRequests: 'Demandes particulières'
+    },
+    menu: {
+      name: 'Nom',
+      category: 'Catégorie',
+      description: 'Description',
+      price: 'Prix',
+      available: 'Disponible',
+      createdAt: 'Créé le'
+    },
+    staff: {
+      name: 'Nom',
+      email: 'Email',
+      role: 'Rôle',
+      salary: 'Salaire',
+      createdAt: 'Embauché le'
+    }
+  },
+  en: {
+    orders: {
+      orderId: 'Order #',
+      createdAt: 'Date',
+      customerName: 'Customer',
+      customerEmail: 'Customer email',
+      status: 'Status',
+      paymentStatus: 'Payment',
+      item: 'Item',
+      quantity: 'Quantity',
+      unitPrice: 'Unit price',
+      lineTotal: 'Line total',
+      subtotal: 'Subtotal',
+      taxes: 'Taxes',
+      fees: 'Fees',
+      totalAmount: 'Order total',
+      deliveryAddress: 'Delivery address'
+    },
+    reservations: {
+      reservationId: 'Reservation #',
+      createdAt: 'Created at',
+      date: 'Date',
+      time: 'Time',
+      type: 'Type',
+      status: 'Status',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      numberOfPeople: 'Guests',
+      address: 'Address',
+      totalAmount: 'Amount',
+      specialRequests: 'Special requests'
+    },
+    menu: {
+      name: 'Name',
+      category: 'Category',
+      description: 'Description',
+      price: 'Price',
+      available: 'Available',
+      createdAt: 'Created at'
+    },
+    staff: {
+      name: 'Name',
+      email: 'Email',
+      role: 'Role',
+      salary: 'Salary',
+      createdAt: 'Hired on'
+    }
+  }
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   // Récupérer le token du header
   const token = req.header('x-auth-token');
 
@@ -9,14 +10,28 @@ module.exports = function(req, res, next) {
     return res.status(401).json({ msg: 'Pas de token, autorisation refusée' });
   }
 
+  let decoded;
   try {
     // Vérifier le token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ msg: 'Token non valide' });
+  }
+
+  try {
+    // Vérifier que le token n'a pas été révoqué (déconnexion, changement de rôle ou de mot de passe)
+    const user = await User.findById(decoded.user.id).select('tokenVersion role');
+    if (!user || user.tokenVersion !== (decoded.user.tokenVersion || 0)) {
+      return res.status(401).json({ msg: 'Session expirée, veuillez vous reconnecter' });
+    }
 
-    // Ajouter l'utilisateur à la requête
-    req.user = decoded.user;
+    // Ajouter l'utilisateur à la requête, avec son rôle actuel en base
+    req.user = { ...decoded.user, role: user.role };
+    // Fin de validité du jeton, pour les connexions longues (flux temps réel)
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
     next();
   } catch (err) {
-    res.status(401).json({ msg: 'Token non valide' });
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
   }
 };
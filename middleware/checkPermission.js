@@ -0,0 +1,17 @@
+const { hasPermission } = require('../config/permissions');
+
+// À placer après le middleware auth, qui recharge le rôle depuis la base
+module.exports = function(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ msg: 'Pas de token, autorisation refusée' });
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        msg: 'Accès refusé - Vous n\'avez pas les permissions nécessaires'
+      });
+    }
+    next();
+  };
+};
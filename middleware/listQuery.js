@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const restaurantConfig = require('../config/restaurant');
+const { isValidBoundary, parseBoundary } = require('../services/analytics');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Tri « -price,name » → [['price', -1], ['name', 1], ['_id', -1]].
+// _id départage les égalités pour que la pagination par curseur soit stable.
+// `sortFields` remplace un champ de tri par les champs réellement triés
+// (ex. category → position de la catégorie, puis catégorie).
+const parseSort = (value, sortFields = {}) => {
+  const fields = splitList(value).flatMap(field => {
+    const [name, direction] = field.startsWith('-') ? [field.slice(1), -1] : [field, 1];
+    return (sortFields[name] || [name]).map(sortField => [sortField, direction]);
+  });
+  return [...fields, ['_id', fields.length ? fields[fields.length - 1][1] : -1]];
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Les curseurs encodent les valeurs de tri du dernier élément renvoyé
+const serialize = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toHexString() };
+  // Champ peuplé (ex. la catégorie d'un plat) : on trie sur sa référence
+  if (value && value._id) return serialize(value._id);
+  return value;
+};
+
+const deserialize = (value) => {
+  if (value && value.$date) return new Date(value.$date);
+  if (value && value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  return value;
+};
+
+const encodeCursor = (doc, sort) =>
+  Buffer.from(JSON.stringify(sort.map(([field]) => serialize(getPath(doc, field))))).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(values) ? values.map(deserialize) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Condition « valeur après `value` » sur un champ. MongoDB range les valeurs
+// absentes (null) avant toutes les autres : elles suivent donc toute valeur en
+// tri décroissant, et rien ne suit null en tri décroissant.
+const afterValue = (field, direction, value) => {
+  if (value == null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Condition « après le curseur » pour un tri sur plusieurs champs :
+// (a > va) OU (a = va ET b > vb) OU ...
+const keysetFilter = (sort, values) => ({
+  $or: sort.map(([field, direction], index) => {
+    const after = afterValue(field, direction, values[index]);
+    if (!after) return null;
+
+    const condition = {};
+    sort.slice(0, index).forEach(([previous], i) => {
+      condition[previous] = values[i];
+    });
+    return { ...condition, ...after };
+  }).filter(Boolean)
+});
+
+// Types de filtres disponibles. Chaque filtre déclare les paramètres de requête
+// qu'il lit, leur validation et la condition Mongo produite.
+const FILTER_TYPES = {
+  // ?status=pending,preparing
+  enum: ({ param, field, values }) => ({
+    validators: [
+      query(param, `Valeur invalide (${values.join(', ')})`).optional()
+        .custom(value => splitList(value).every(item => values.includes(item)))
+    ],
+    apply: (q) => (q[param] ? { [field]: { $in: splitList(q[param]) } } : null)
+  }),
+  // ?tags=vegan,halal : le champ (tableau) contient toutes les valeurs
+  arrayAll: ({ param, field, values }) => ({
+    validators: [
+      query(param, `Valeur invalide (${values.join(', ')})`).optional()
+        .custom(value => splitList(value).every(item => values.includes(item)))
+    ],
+    apply: (q) => (q[param] ? { [field]: { $all: splitList(q[param]) } } : null)
+  }),
+  // ?excludeAllergens=gluten,milk : le champ (tableau) ne contient aucune des valeurs
+  arrayNone: ({ param, field, values }) => ({
+    validators: [
+      query(param, `Valeur invalide (${values.join(', ')})`).optional()
+        .custom(value => splitList(value).every(item => values.includes(item)))
+    ],
+    apply: (q) => (q[param] ? { [field]: { $nin: splitList(q[param]) } } : null)
+  }),
+  // ?user=<id>
+  objectId: ({ param, field }) => ({
+    // Un paramètre répété (?user=a&user=b) arrive sous forme de tableau : refusé
+    validators: [
+      query(param, 'Identifiant invalide').optional()
+        .custom(value => typeof value === 'string').bail()
+        .isMongoId()
+    ],
+    apply: (q) => (q[param] ? { [field]: new mongoose.Types.ObjectId(q[param]) } : null)
+  }),
+  // ?available=true
+  boolean: ({ param, field }) => ({
+    validators: [query(param, 'Valeur booléenne attendue').optional().isBoolean()],
+    apply: (q) => (q[param] !== undefined ? { [field]: q[param] === 'true' } : null)
+  }),
+  // ?assigned=false : le champ est renseigné (ou non)
+  exists: ({ param, field }) => ({
+    validators: [query(param, 'Valeur booléenne attendue').optional().isBoolean()],
+    apply: (q) => (q[param] !== undefined ? { [field]: { $exists: q[param] === 'true' } } : null)
+  }),
+  // ?zone=terrasse
+  string: ({ param, field }) => ({
+    validators: [query(param, 'Valeur invalide').optional().isString()],
+    apply: (q) => (q[param] ? { [field]: q[param] } : null)
+  }),
+  // ?from=2024-01-01&to=2024-01-31 (dates interprétées dans le fuseau du restaurant)
+  dateRange: ({ from, to, field }) => ({
+    validators: [
+      query(from, 'Date de début invalide').optional().custom(isValidBoundary),
+      query(to, 'Date de fin invalide').optional().custom(isValidBoundary)
+    ],
+    apply: (q) => {
+      if (!q[from] && !q[to]) return null;
+      const range = {};
+      if (q[from]) range.$gte = parseBoundary(q[from], restaurantConfig.timezone);
+      if (q[to]) range.$lt = parseBoundary(q[to], restaurantConfig.timezone, { endOfDay: true });
+      return { [field]: range };
+    }
+  }),
+  // Dates stockées sous forme de texte AAAA-MM-JJ (réservations)
+  dateStringRange: ({ from, to, field }) => ({
+    validators: [
+      query(from, 'Date de début invalide (AAAA-MM-JJ)').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+      query(to, 'Date de fin invalide (AAAA-MM-JJ)').optional().matches(/^\d{4}-\d{2}-\d{2}$/)
+    ],
+    apply: (q) => {
+      if (!q[from] && !q[to]) return null;
+      const range = {};
+      if (q[from]) range.$gte = q[from];
+      if (q[to]) range.$lte = q[to];
+      return { [field]: range };
+    }
+  }),
+  // ?minPrice=5&maxPrice=20
+  numberRange: ({ min, max, field }) => ({
+    validators: [
+      query(min, 'Valeur minimale invalide').optional().isFloat(),
+      query(max, 'Valeur maximale invalide').optional().isFloat()
+    ],
+    apply: (q) => {
+      if (q[min] === undefined && q[max] === undefined) return null;
+      const range = {};
+      if (q[min] !== undefined) range.$gte = parseFloat(q[min]);
+      if (q[max] !== undefined) range.$lte = parseFloat(q[max]);
+      return { [field]: range };
+    }
+  })
+};
+
+// Middleware de liste : valide ?page=&limit=&cursor=&sort=&q= ainsi que les
+// filtres déclarés, puis expose req.list ({ filter, sort, limit, page, after }).
+//
+// spec = {
+//   sortable: ['createdAt', 'name'],
+//   defaultSort: '-createdAt',
+//   sortFields: { category: ['categoryPosition', 'category'] },
+//   search: ['name', 'email'],
+//   filters: [{ type: 'enum', param: 'status', field: 'status', values: [...] }]
+// }
+const listQuery = (spec) => {
+  const filters = (spec.filters || []).map(filter => FILTER_TYPES[filter.type](filter));
+
+  return [
+    query('page', 'La page doit être un entier positif').optional().isInt({ min: 1 }),
+    query('limit', `La limite doit être comprise entre 1 et ${MAX_LIMIT}`).optional().isInt({ min: 1, max: MAX_LIMIT }),
+    query('cursor', 'Curseur invalide').optional().custom(value => Boolean(decodeCursor(value))),
+    query('sort', `Tri invalide (${spec.sortable.join(', ')})`).optional()
+      .custom(value => splitList(value).every(field => spec.sortable.includes(field.replace(/^-/, '')))),
+    query('q', 'Recherche invalide').optional().isString().isLength({ max: 100 }),
+    ...filters.flatMap(filter => filter.validators),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const conditions = filters.map(filter => filter.apply(req.query)).filter(Boolean);
+
+      if (req.query.q && spec.search) {
+        const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+        conditions.push({ $or: spec.search.map(field => ({ [field]: pattern })) });
+      }
+
+      const sort = parseSort(req.query.sort || spec.defaultSort, spec.sortFields);
+      const after = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+      if (after && after.length !== sort.length) {
+        return res.status(400).json({ msg: 'Le curseur ne correspond pas au tri demandé' });
+      }
+
+      req.list = {
+        conditions,
+        sort,
+        after,
+        limit: parseInt(req.query.limit, 10) || spec.defaultLimit || DEFAULT_LIMIT,
+        page: after ? null : parseInt(req.query.page, 10) || 1
+      };
+      next();
+    }
+  ];
+};
+
+// Page de documents triée sur des champs calculés par `computed.stages` (étapes
+// d'agrégation, ex. $lookup de la position de la catégorie). Ces champs servent
+// au tri et au curseur, puis sont retirés (`computed.fields`) des documents.
+const aggregatePage = async (Model, list, where, { computed, populate, lean }) => {
+  const raw = await Model.aggregate([
+    { $match: Model.find(where).cast(Model) },
+    ...computed.stages,
+    ...(list.after ? [{ $match: keysetFilter(list.sort, list.after) }] : []),
+    { $sort: Object.fromEntries(list.sort) },
+    ...(list.page ? [{ $skip: (list.page - 1) * list.limit }] : []),
+    { $limit: list.limit + 1 }
+  ]);
+
+  const cursor = raw.length > list.limit ? encodeCursor(raw[list.limit - 1], list.sort) : null;
+  raw.forEach(doc => computed.fields.forEach(field => delete doc[field]));
+
+  let docs = lean ? raw : raw.map(doc => Model.hydrate(doc));
+  if (populate) docs = await Model.populate(docs, populate);
+  return { docs, cursor };
+};
+
+const findPage = async (Model, list, where, { populate, select, lean }) => {
+  const pageWhere = list.after ? { $and: [where, keysetFilter(list.sort, list.after)] } : where;
+
+  let find = Model.find(pageWhere)
+    .sort(list.sort)
+    .limit(list.limit + 1);
+
+  if (list.page) find = find.skip((list.page - 1) * list.limit);
+  if (select) find = find.select(select);
+  if (populate) find = find.populate(populate);
+  if (lean) find = find.lean();
+
+  const docs = await find;
+  return {
+    docs,
+    cursor: docs.length > list.limit ? encodeCursor(docs[list.limit - 1], list.sort) : null
+  };
+};
+
+// Exécute une liste paginée et renvoie l'enveloppe commune :
+// { data, pagination: { total, page, pages, limit, hasMore, nextCursor } }
+// `computed` permet de trier sur des champs absents des documents (voir aggregatePage).
+const paginate = async (Model, list, { filter = {}, populate, select, lean, computed } = {}) => {
+  const where = { $and: [filter, ...list.conditions] };
+  const options = { computed, populate, select, lean };
+
+  const [{ docs, cursor }, total] = await Promise.all([
+    computed ? aggregatePage(Model, list, where, options) : findPage(Model, list, where, options),
+    Model.countDocuments(where)
+  ]);
+
+  const hasMore = docs.length > list.limit;
+  const data = hasMore ? docs.slice(0, list.limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      page: list.page,
+      pages: Math.ceil(total / list.limit),
+      limit: list.limit,
+      hasMore,
+      nextCursor: cursor
+    }
+  };
+};
+
+module.exports = {
+  listQuery,
+  paginate
+};
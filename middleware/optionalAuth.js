@@ -0,0 +1,9 @@
+const auth = require('./auth');
+
+// Authentifie la requête si un token est fourni, sans l'exiger
+module.exports = function(req, res, next) {
+  if (!req.header('x-auth-token')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
@@ -0,0 +1,18 @@
+const { check } = require('express-validator');
+const { ALLERGEN_KEYS } = require('../config/dietary');
+
+// Valide les plats commandés et les allergies déclarées, pour une commande ou
+// les plats d'une réservation : { items: [{ menuItem, quantity, options }], allergies }.
+// `optional` rend la liste des plats facultative (elle peut alors être vide).
+module.exports = ({ optional = false } = {}) => {
+  const items = check('items', 'Les items sont requis');
+  return [
+    optional ? items.optional().isArray() : items.isArray({ min: 1 }),
+    check('items.*.menuItem', 'L\'ID du menu item est requis').not().isEmpty(),
+    check('items.*.quantity', 'La quantité est requise').isInt({ min: 1 }),
+    check('items.*.options', 'Les options doivent être une liste d\'identifiants').optional().isArray(),
+    check('items.*.options.*', 'Identifiant d\'option invalide').isMongoId(),
+    check('allergies', 'Les allergies doivent être une liste').optional().isArray(),
+    check('allergies.*', `Allergène inconnu (${ALLERGEN_KEYS.join(', ')})`).isIn(ALLERGEN_KEYS)
+  ];
+};
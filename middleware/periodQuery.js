@@ -0,0 +1,30 @@
+const { query, validationResult } = require('express-validator');
+const {
+  GRANULARITIES,
+  COMPARISONS,
+  isValidTimezone,
+  isValidBoundary,
+  parsePeriod
+} = require('../services/analytics');
+
+// Valide les paramètres de période (?from=&to=&granularity=&timezone=&compare=)
+// et expose la période analysée dans req.period
+module.exports = [
+  query('from', 'Date de début invalide').optional().custom(isValidBoundary),
+  query('to', 'Date de fin invalide').optional().custom(isValidBoundary),
+  query('granularity', `Granularité invalide (${GRANULARITIES.join(', ')})`).optional().isIn(GRANULARITIES),
+  query('compare', `Comparaison invalide (${COMPARISONS.join(', ')})`).optional().isIn(COMPARISONS),
+  query('timezone', 'Fuseau horaire invalide').optional().custom(isValidTimezone),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    req.period = parsePeriod(req.query);
+    if (req.period.from >= req.period.to) {
+      return res.status(400).json({ msg: 'La date de début doit précéder la date de fin' });
+    }
+    next();
+  }
+];
@@ -0,0 +1,20 @@
+const User = require('../models/User');
+
+// Réserve une route aux comptes dont l'adresse email a été confirmée
+module.exports = async function(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+
+    if (!user || user.emailVerified === false) {
+      return res.status(403).json({
+        msg: 'Veuillez confirmer votre adresse email avant de continuer',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+};
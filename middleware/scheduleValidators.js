@@ -0,0 +1,25 @@
+const { check } = require('express-validator');
+const { isValidDate } = require('../services/availability');
+
+// Valide un horaire de disponibilité envoyé dans le corps (`field`) :
+// { startDate, endDate, windows: [{ days: [0-6], open: 'HH:mm', close: 'HH:mm' }] }
+module.exports = (field = 'schedule') => [
+  check(field, 'L\'horaire doit être un objet').optional({ values: 'null' }).isObject(),
+  check(`${field}.startDate`, 'Date de début invalide (AAAA-MM-JJ)').optional().custom(isValidDate),
+  check(`${field}.endDate`, 'Date de fin invalide (AAAA-MM-JJ)').optional().custom(isValidDate)
+    .custom((endDate, { req }) => {
+      const schedule = req.body[field] || {};
+      return !schedule.startDate || schedule.startDate <= endDate;
+    })
+    .withMessage('La date de fin doit suivre la date de début'),
+  check(`${field}.windows`, 'Les plages horaires doivent être une liste').optional().isArray(),
+  check(`${field}.windows.*.days`, 'Les jours doivent être une liste').optional().isArray({ min: 1 }),
+  check(`${field}.windows.*.days.*`, 'Jour invalide (0 = dimanche, 6 = samedi)').isInt({ min: 0, max: 6 }),
+  check(`${field}.windows.*.open`, 'Heure de début invalide (HH:mm)').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  check(`${field}.windows.*.close`, 'Heure de fin invalide (HH:mm)').matches(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/)
+    .custom((close, { req, path }) => {
+      const index = Number(path.match(/\[(\d+)\]/)[1]);
+      return req.body[field].windows[index].open < close;
+    })
+    .withMessage('La fin de la plage doit suivre son début')
+];
@@ -0,0 +1,57 @@
+const multer = require('multer');
+const mediaConfig = require('../config/media');
+
+// Type de fichier refusé par le filtre (distinct des erreurs de Multer)
+const fileTypeError = () => {
+  const err = new Error(`Type de fichier non autorisé (${mediaConfig.allowedMimeTypes.join(', ')})`);
+  err.code = 'INVALID_FILE_TYPE';
+  return err;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaConfig.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!mediaConfig.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(fileTypeError());
+    }
+    cb(null, true);
+  }
+});
+
+// Messages des erreurs de Multer ; `field` est le champ attendu
+const multerMessage = (err, field) => {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `L'image ne doit pas dépasser ${mediaConfig.maxFileSize / (1024 * 1024)} Mo`;
+    case 'LIMIT_FILE_COUNT':
+      return 'Une seule image peut être envoyée';
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Fichier inattendu (${err.field}) : l'image doit être envoyée dans le champ « ${field} »`;
+    default:
+      return `Requête d'envoi invalide : ${err.message}`;
+  }
+};
+
+// Réception d'une image unique (champ `field`) avec des erreurs lisibles
+module.exports = function(field) {
+  const single = upload.single(field);
+
+  return (req, res, next) => {
+    single(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ msg: multerMessage(err, field) });
+      }
+      if (err && err.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({ msg: err.message });
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.file) {
+        return res.status(400).json({ msg: 'L\'image est requise' });
+      }
+      next();
+    });
+  };
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Nom et description traduits (clé : code de langue, ex. « en »)
+const translationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// « Entrées chaudes » -> « entrees-chaudes »
+const slugify = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Ordre d'affichage sur la carte (croissant)
+  position: {
+    type: Number,
+    default: 0
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+  // Une catégorie masquée n'apparaît pas sur la carte publique
+  visible: {
+    type: Boolean,
+    default: true
+  },
+  translations: {
+    type: Map,
+    of: translationSchema,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ position: 1, name: 1 });
+
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Nom et description dans la langue demandée, le français par défaut
+categorySchema.methods.localize = function(language) {
+  const category = this.toJSON();
+  const translation = language && this.translations.get(language);
+
+  if (translation) {
+    category.name = translation.name || category.name;
+    category.description = translation.description || category.description;
+  }
+  return category;
+};
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Code postal comparé sans espaces ni casse
+const normalizePostalCode = (code) => String(code).replace(/\s+/g, '').toUpperCase();
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  position.every(value => typeof value === 'number' && isFinite(value)) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// Anneau fermé d'au moins quatre positions [longitude, latitude]
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length >= 1 && rings.every(isRing);
+
+// Géométrie GeoJSON ; les coordonnées sont des positions [longitude, latitude]
+const areaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: GEOMETRY_TYPES,
+    required: true
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: function(coordinates) {
+        if (this.type === 'Polygon') return isPolygon(coordinates);
+        return Array.isArray(coordinates) && coordinates.length >= 1 && coordinates.every(isPolygon);
+      },
+      message: 'Le polygone GeoJSON de la zone est invalide'
+    }
+  }
+}, { _id: false });
+
+// Zone de livraison définie par une liste de codes postaux et/ou un polygone
+// GeoJSON (évalué par le serveur, sans index géospatial). Quand plusieurs zones
+// couvrent une adresse, la priorité la plus haute l'emporte.
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  postalCodes: {
+    type: [String],
+    set: (codes) => (Array.isArray(codes) ? codes.map(normalizePostalCode) : codes),
+    validate: {
+      validator: function(codes) {
+        return Boolean(this.area) || codes.length > 0;
+      },
+      message: 'Une zone doit avoir des codes postaux ou un polygone'
+    }
+  },
+  area: areaSchema,
+  fee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Sous-total minimum (hors taxes et frais) pour être livré dans la zone
+  minimumOrder: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Délai de livraison annoncé, en minutes après la commande
+  estimatedMinutes: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deliveryZoneSchema.statics.normalizePostalCode = normalizePostalCode;
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Événement diffusé sur le flux temps réel (cuisine, salle, clients).
+// Les événements sont conservés 24 heures pour permettre la reprise après
+// une déconnexion à partir du dernier identifiant reçu.
+const feedEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Propriétaire de la ressource : seul ce client (et le personnel) reçoit l'événement
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24
+  }
+});
+
+feedEventSchema.index({ user: 1, _id: 1 });
+
+module.exports = mongoose.model('FeedEvent', feedEventSchema);
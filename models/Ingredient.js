@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const UNITS = ['g', 'kg', 'ml', 'l', 'piece'];
+
+// Ingrédient en stock. Le niveau de stock n'est modifié que par le service
+// d'inventaire, qui enregistre chaque mouvement (voir StockMovement).
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: UNITS
+  },
+  stock: {
+    type: Number,
+    default: 0
+  },
+  // Seuil en dessous duquel le personnel est alerté
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ingredientSchema.virtual('lowStock').get(function() {
+  return this.stock <= this.lowStockThreshold;
+});
+
+ingredientSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const scheduleSchema = require('./schemas/schedule');
+
+// Plat proposé dans une carte, avec son prix propre à cette carte (facultatif)
+const menuEntrySchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  price: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Carte nommée (déjeuner, dîner, happy hour...) active selon son horaire.
+// Quand plusieurs cartes actives proposent le même plat, la priorité la plus
+// haute fixe le prix.
+const menuSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  schedule: scheduleSchema,
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  items: [menuEntrySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+menuSchema.index({ 'items.menuItem': 1 });
+
+module.exports = mongoose.model('Menu', menuSchema);
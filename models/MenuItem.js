@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const { ALLERGEN_KEYS, DIETARY_TAG_KEYS, MAX_SPICY_LEVEL } = require('../config/dietary');
+const scheduleSchema = require('./schemas/schedule');
+
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Supplément (ou réduction) appliqué au prix de base
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  available: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Groupe d'options (taille, cuisson, suppléments...) et nombre de choix autorisés
+const optionGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxSelections: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  options: {
+    type: [optionSchema],
+    validate: [options => options.length > 0, 'Un groupe doit contenir au moins une option']
+  }
+});
+
+optionGroupSchema.pre('validate', function(next) {
+  if (this.required && this.minSelections < 1) {
+    this.minSelections = 1;
+  }
+  if (this.minSelections > this.maxSelections) {
+    this.invalidate('minSelections', 'Le minimum de choix dépasse le maximum');
+  }
+  next();
+});
 
 const menuItemSchema = new mongoose.Schema({
   name: {
@@ -16,22 +72,106 @@ const menuItemSchema = new mongoose.Schema({
     min: 0
   },
   category: {
-    type: String,
-    required: true,
-    enum: ['Entrées', 'Plats', 'Desserts', 'Boissons']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Ordre d'affichage au sein de la catégorie (croissant)
+  position: {
+    type: Number,
+    default: 0
   },
+  // URL de l'image principale (variante « large »)
   image: {
-    type: String,
-    required: true
+    type: String
+  },
+  images: {
+    thumbnail: String,
+    medium: String,
+    large: String
   },
+  // Interrupteur manuel : un plat indisponible n'est jamais proposé
   available: {
     type: Boolean,
     default: true
   },
+  // Rupture de stock d'un ingrédient, gérée automatiquement par l'inventaire
+  soldOut: {
+    type: Boolean,
+    default: false
+  },
+  // Horaires et saison pendant lesquels le plat peut être commandé
+  schedule: scheduleSchema,
+  // Quantité de chaque ingrédient consommée par portion
+  recipe: [{
+    _id: false,
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ingredient',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  optionGroups: [optionGroupSchema],
+  allergens: [{
+    type: String,
+    enum: ALLERGEN_KEYS
+  }],
+  dietaryTags: [{
+    type: String,
+    enum: DIETARY_TAG_KEYS
+  }],
+  spicyLevel: {
+    type: Number,
+    min: 0,
+    max: MAX_SPICY_LEVEL,
+    default: 0
+  },
+  // Valeurs nutritionnelles par portion (facultatives)
+  nutrition: {
+    calories: { type: Number, min: 0 },
+    proteins: { type: Number, min: 0 },
+    carbohydrates: { type: Number, min: 0 },
+    sugars: { type: Number, min: 0 },
+    fats: { type: Number, min: 0 },
+    salt: { type: Number, min: 0 }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // Chaque enregistrement incrémente __v : deux modifications concurrentes
+  // d'un même élément sont détectées (voir l'en-tête If-Match des routes du menu)
+  optimisticConcurrency: true
+});
+
+// Réduction maximale que peuvent cumuler les options d'un plat : les options
+// les plus négatives de chaque groupe, dans la limite de ses choix autorisés
+const getMaxDiscount = (optionGroups = []) => optionGroups.reduce((total, group) => {
+  const discounts = group.options
+    .map(option => option.priceDelta || 0)
+    .filter(delta => delta < 0)
+    .sort((a, b) => a - b)
+    .slice(0, group.maxSelections);
+  return total + discounts.reduce((sum, delta) => sum + delta, 0);
+}, 0);
+
+// Aucune combinaison d'options ne doit rendre le prix négatif
+menuItemSchema.pre('validate', function(next) {
+  if (typeof this.price === 'number' && this.price + getMaxDiscount(this.optionGroups) < 0) {
+    this.invalidate('optionGroups', 'Les réductions des options dépassent le prix du plat');
+  }
+  next();
 });
 
+menuItemSchema.index({ category: 1, position: 1 });
+menuItemSchema.index({ 'recipe.ingredient': 1 });
+menuItemSchema.index({ allergens: 1 });
+menuItemSchema.index({ dietaryTags: 1 });
+
 module.exports = mongoose.model('MenuItem', menuItemSchema);
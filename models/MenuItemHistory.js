@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Historique des modifications d'un élément du menu (qui, quand, quels champs),
+// notamment l'évolution de son prix
+const menuItemHistorySchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  // Version de l'élément obtenue après la modification
+  version: Number,
+  changes: [fieldChangeSchema],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+menuItemHistorySchema.index({ menuItem: 1, createdAt: -1 });
+menuItemHistorySchema.index({ menuItem: 1, 'changes.field': 1, createdAt: -1 });
+
+module.exports = mongoose.model('MenuItemHistory', menuItemHistorySchema);
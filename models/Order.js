@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const deliverySchema = require('./schemas/delivery');
+
+// Option choisie au moment de la commande (copie figée du menu)
+const selectedOptionSchema = new mongoose.Schema({
+  group: mongoose.Schema.Types.ObjectId,
+  groupName: String,
+  option: mongoose.Schema.Types.ObjectId,
+  name: String,
+  priceDelta: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   menuItem: {
@@ -6,44 +19,130 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'MenuItem',
     required: true
   },
+  name: String,
+  options: [selectedOptionSchema],
+  // Allergènes du plat et ceux qui entrent en conflit avec les allergies déclarées
+  allergens: [String],
+  allergenConflicts: [String],
   quantity: {
     type: Number,
     required: true,
     min: 1
   },
+  // Prix unitaire, options comprises
   price: {
     type: Number,
     required: true
+  },
+  basePrice: Number,
+  lineTotal: {
+    type: Number,
+    min: 0
   }
 });
 
+// Prise en charge d'une commande à livrer par un livreur
+const dispatchSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pickedUpAt: Date,
+  deliveredAt: Date,
+  // Dernière position transmise par le livreur pendant la course
+  location: {
+    lat: Number,
+    lng: Number,
+    updatedAt: Date
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
+  // Absent pour les plats d'une réservation faite sans compte
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.reservation;
+    }
   },
+  // Réservation dont la commande porte les plats (précommande sur place ou livraison)
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Heure à laquelle les plats d'une réservation doivent être servis ou livrés
+  scheduledFor: Date,
   items: [orderItemSchema],
+  // Allergies déclarées par le client pour cette commande
+  allergies: [String],
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  taxes: {
+    type: Number,
+    default: 0
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'preparing', 'ready', 'delivered', 'cancelled'],
+    enum: ['pending', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
+  // Date à laquelle les ingrédients de la commande ont été déduits du stock
+  stockConsumedAt: Date,
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
   deliveryAddress: {
     street: String,
     city: String,
     postalCode: String,
-    instructions: String
+    instructions: String,
+    // Position facultative, utilisée pour les zones définies par un polygone
+    location: {
+      lat: Number,
+      lng: Number
+    }
   },
+  delivery: deliverySchema,
+  dispatch: dispatchSchema,
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,5 +151,7 @@ const orderSchema = new mongoose.Schema({
 
 // Index pour optimiser les recherches par utilisateur et statut
 orderSchema.index({ user: 1, status: 1 });
+orderSchema.index({ 'dispatch.driver': 1, status: 1 });
+orderSchema.index({ reservation: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
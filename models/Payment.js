@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_PROVIDERS = ['card', 'mobile_money', 'cash', 'fake'];
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending'
+  },
+  providerRef: String,
+  reason: String,
+  failureReason: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Intention de paiement d'une commande (ou de l'acompte d'une réservation)
+// auprès d'un prestataire. Son statut n'est mis à jour que par le prestataire
+// (webhook signé) ou, pour les espèces, par le personnel ; le statut de paiement
+// de la commande ou de l'acompte en découle.
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: function() {
+      return !this.reservation;
+    }
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Absent pour l'acompte d'une réservation faite sans compte
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    enum: PAYMENT_PROVIDERS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  // Identifiant de la transaction chez le prestataire
+  providerRef: String,
+  // Secret remis au client pour confirmer le paiement (carte) : renvoyé une seule fois
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  // Action attendue du client (valider sur son téléphone, payer à la livraison...)
+  nextAction: mongoose.Schema.Types.Mixed,
+  failureReason: String,
+  paidAt: Date,
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Deux remboursements concurrents d'un même paiement ne peuvent pas dépasser son montant
+  optimisticConcurrency: true
+});
+
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ reservation: 1, createdAt: -1 }, { sparse: true });
+paymentSchema.index(
+  { provider: 1, providerRef: 1 },
+  { unique: true, partialFilterExpression: { providerRef: { $exists: true } } }
+);
+paymentSchema.index({ 'refunds.providerRef': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
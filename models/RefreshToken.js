@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Jeton de rafraîchissement stocké côté serveur (seule son empreinte est conservée).
+// Chaque rotation crée un nouveau jeton de la même famille ; la réutilisation
+// d'un jeton déjà révoqué révoque toute la famille.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  revokedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,6 +1,38 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+const RESERVATION_TYPES = ['surPlace', 'livraison'];
+const RESERVATION_STATUSES = [
+  'awaiting_deposit', 'pending', 'confirmed', 'rejected', 'cancelled', 'delivered', 'completed', 'no_show'
+];
+const DEPOSIT_STATUSES = ['pending', 'paid', 'waived', 'refunded', 'forfeited'];
+
+// Acompte demandé à la réservation (voir config/reservations). Tant qu'il est
+// en attente, la réservation reste « awaiting_deposit » et ne peut pas être confirmée.
+const depositSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Règles ayant déclenché l'acompte (large_party, holiday...)
+  reasons: [String],
+  status: {
+    type: String,
+    enum: DEPOSIT_STATUSES,
+    default: 'pending'
+  },
+  // Au-delà, une réservation dont l'acompte n'est pas réglé est annulée
+  dueAt: Date,
+  paidAt: Date
+}, { _id: false });
+
 const reservationSchema = new mongoose.Schema({
+  // Client connecté ayant effectué la réservation, le cas échéant
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   name: {
     type: String,
     required: true
@@ -13,21 +45,26 @@ const reservationSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Date au format AAAA-MM-JJ
   date: {
     type: String,
-    required: true
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
   },
+  // Heure au format HH:mm
   time: {
     type: String,
-    required: true
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
   },
   type: {
     type: String,
-    enum: ['surPlace', 'livraison'],
+    enum: RESERVATION_TYPES,
     required: true
   },
   numberOfPeople: {
     type: Number,
+    min: 1,
     required: function() {
       return this.type === 'surPlace';
     }
@@ -38,28 +75,73 @@ const reservationSchema = new mongoose.Schema({
       return this.type === 'livraison';
     }
   },
+  // Code postal et position de l'adresse de livraison, pour trouver sa zone
+  postalCode: String,
+  location: {
+    lat: Number,
+    lng: Number
+  },
+  tables: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  }],
   specialRequests: {
     type: String
   },
-  dishes: [{
-    _id: String,
-    name: String,
-    price: Number,
-    quantity: Number
-  }],
-  totalAmount: {
-    type: Number,
-    required: true
+  // Commande portant les plats de la réservation (précommande ou livraison),
+  // chiffrée côté serveur comme toute commande
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'rejected', 'delivered', 'completed'],
+    enum: RESERVATION_STATUSES,
     default: 'pending'
   },
+  deposit: depositSchema,
+  // Arrivée du client, relevée par le personnel : la réservation ne sera pas marquée no_show
+  checkedInAt: Date,
+  noShowAt: Date,
+  // Empreinte du jeton du lien de gestion envoyé au client
+  manageTokenHash: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+reservationSchema.index({ user: 1, date: -1 });
+reservationSchema.index({ manageTokenHash: 1 }, { sparse: true });
+reservationSchema.index({ status: 1, date: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Génère un nouveau jeton de gestion ; seule son empreinte est conservée
+reservationSchema.methods.generateManageToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.manageTokenHash = hashToken(token);
+  return token;
+};
+
+reservationSchema.statics.findByManageToken = function(token) {
+  return this.findOne({ manageTokenHash: hashToken(String(token)) });
+};
+
+// L'empreinte du jeton de gestion n'est jamais exposée
+reservationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.manageTokenHash;
+    return ret;
+  }
+});
+
+// Date et heure du créneau réservé, dans le fuseau du serveur
+reservationSchema.methods.getSlotDate = function() {
+  return new Date(`${this.date}T${this.time}:00`);
+};
+
 module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['order', 'restock', 'adjustment', 'waste'];
+
+// Journal des mouvements de stock : chaque variation d'un ingrédient y est
+// consignée avec le stock obtenu, pour pouvoir retracer les écarts d'inventaire.
+const stockMovementSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: MOVEMENT_TYPES
+  },
+  // Variation signée (négative pour une consommation)
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ ingredient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Ticket d'ouverture du flux temps réel (GET /api/events/stream?ticket=...).
+// EventSource ne peut pas envoyer d'en-têtes : ce ticket à usage unique et de
+// courte durée évite de placer le jeton d'accès dans l'URL (et donc dans les
+// journaux). Seule son empreinte est conservée.
+const streamTicketSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Version des jetons de l'utilisateur à l'émission du ticket
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Fin de validité du jeton d'accès ayant servi à demander le ticket : le flux
+  // est fermé à cette heure
+  sessionExpiresAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+module.exports = mongoose.model('StreamTicket', streamTicketSchema);
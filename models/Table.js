@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const tableSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  zone: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'salle'
+  },
+  // Une table combinable peut être rapprochée d'autres tables de la même zone
+  combinable: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Table', tableSchema);
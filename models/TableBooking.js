@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Occupation d'une table sur un créneau donné. L'index unique garantit
+// qu'une table ne peut pas être attribuée deux fois sur le même créneau,
+// même lorsque deux confirmations arrivent en même temps.
+const tableBookingSchema = new mongoose.Schema({
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    required: true
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  slot: {
+    type: String,
+    required: true
+  }
+});
+
+tableBookingSchema.index({ table: 1, date: 1, slot: 1 }, { unique: true });
+tableBookingSchema.index({ reservation: 1 });
+
+module.exports = mongoose.model('TableBooking', tableBookingSchema);
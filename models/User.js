@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,19 +22,44 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'staff', 'admin'],
+    enum: ROLES,
     default: 'client'
   },
   salary: {
     type: Number,
     default: 0
   },
+  // Absent pour les comptes créés avant la vérification des emails
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerificationToken: {
+    hash: String,
+    expiresAt: Date
+  },
+  passwordResetToken: {
+    hash: String,
+    expiresAt: Date
+  },
+  // Incrémenté pour invalider tous les jetons d'accès déjà émis
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Invalide les jetons émis lorsque le mot de passe ou le rôle change
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -46,4 +72,14 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Les secrets ne sont jamais exposés lors de la sérialisation d'un utilisateur
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.emailVerificationToken;
+    delete ret.passwordResetToken;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Événement de webhook déjà traité : un prestataire peut renvoyer plusieurs fois
+// le même événement, qui ne doit être appliqué qu'une fois. Conservé 30 jours.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30
+  }
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
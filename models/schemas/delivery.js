@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Conditions de livraison figées au moment de la commande
+// (voir services/deliveryZones). `zone` est absent lorsque aucune zone n'est
+// définie et que le forfait de livraison historique s'applique.
+const deliverySchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  zoneName: String,
+  fee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  estimatedMinutes: Number,
+  estimatedAt: Date
+}, { _id: false });
+
+module.exports = deliverySchema;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// « 24:00 » permet de couvrir une plage jusqu'à minuit
+const CLOSE_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Plage horaire récurrente. Les jours sont indexés comme Date#getDay() :
+// 0 = dimanche, 6 = samedi. Une plage ne traverse pas minuit.
+const windowSchema = new mongoose.Schema({
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  open: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  close: {
+    type: String,
+    required: true,
+    match: CLOSE_PATTERN
+  }
+}, { _id: false });
+
+windowSchema.pre('validate', function(next) {
+  if (this.open && this.close && this.close <= this.open) {
+    this.invalidate('close', 'La fin de la plage doit suivre son début');
+  }
+  next();
+});
+
+// Disponibilité dans le temps : période de validité (saison) et plages horaires.
+// Sans plage horaire, l'élément est disponible toute la journée.
+const scheduleSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  endDate: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  windows: [windowSchema]
+}, { _id: false });
+
+scheduleSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'La fin de la période doit suivre son début');
+  }
+  next();
+});
+
+module.exports = scheduleSchema;
@@ -1,143 +1,37 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const periodQuery = require('../middleware/periodQuery');
+const { listQuery, paginate } = require('../middleware/listQuery');
+const { ROLES } = require('../config/permissions');
 const User = require('../models/User');
-const Order = require('../models/Order');
-const Reservation = require('../models/Reservation');
-const MenuItem = require('../models/MenuItem');
-
-// Middleware pour vérifier si l'utilisateur est admin
-const isAdmin = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ message: 'Accès refusé. Seuls les administrateurs peuvent effectuer cette action.' });
-    }
-    next();
-  } catch (err) {
-    res.status(500).json({ message: 'Erreur serveur' });
-  }
-};
+const { getKpis, getRevenueSeries, getOrderSeries } = require('../services/analytics');
+const {
+  CHANNELS,
+  getItemSales,
+  getCategorySales,
+  getAttachRates,
+  getItemTrends
+} = require('../services/menuReports');
+const { sendCsv } = require('../services/csv');
 
 // Route pour obtenir les statistiques générales
-router.get('/stats', [auth, isAdmin], async (req, res) => {
+// Période configurable : ?from=&to=&granularity=&timezone=&compare=previous|year|none
+router.get('/stats', [auth, checkPermission('analytics:read'), ...periodQuery], async (req, res) => {
   try {
-    // Calculer les statistiques des derniers 30 jours
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    // Statistiques des revenus
-    const revenueStats = await Order.aggregate([
-      {
-        $match: {
-          status: 'delivered',
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$total' },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Statistiques des commandes
-    const orderStats = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Statistiques des clients (utilisateurs avec rôle 'client')
-    const customerStats = await User.aggregate([
-      {
-        $match: {
-          role: 'client',
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Statistiques des réservations
-    const reservationStats = await Reservation.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Calculer les variations par rapport au mois précédent
-    const previousThirtyDays = new Date(thirtyDaysAgo);
-    previousThirtyDays.setDate(previousThirtyDays.getDate() - 30);
-
-    const previousRevenueStats = await Order.aggregate([
-      {
-        $match: {
-          status: 'delivered',
-          createdAt: { 
-            $gte: previousThirtyDays,
-            $lt: thirtyDaysAgo
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$total' }
-        }
-      }
-    ]);
-
-    // Calculer les pourcentages de variation
-    const calculateChange = (current, previous) => {
-      if (!previous) return 0;
-      return ((current - previous) / previous) * 100;
-    };
-
-    const currentRevenue = revenueStats[0]?.total || 0;
-    const previousRevenue = previousRevenueStats[0]?.total || 0;
-    const revenueChange = calculateChange(currentRevenue, previousRevenue);
+    const kpis = await getKpis(req.period);
 
     res.json({
-      revenue: {
-        total: currentRevenue,
-        change: Math.round(revenueChange * 100) / 100
-      },
-      orders: {
-        total: orderStats[0]?.total || 0,
-        change: 0 // À implémenter si nécessaire
+      period: {
+        from: req.period.from,
+        to: req.period.to,
+        timezone: req.period.timezone,
+        previous: req.period.previous
       },
-      customers: {
-        total: customerStats[0]?.total || 0,
-        change: 0 // À implémenter si nécessaire
-      },
-      reservations: {
-        total: reservationStats[0]?.total || 0,
-        change: 0 // À implémenter si nécessaire
-      }
+      ...kpis
     });
   } catch (err) {
     console.error('Erreur lors de la récupération des statistiques:', err);
@@ -146,29 +40,9 @@ router.get('/stats', [auth, isAdmin], async (req, res) => {
 });
 
 // Route pour obtenir les données de revenus
-router.get('/revenue', [auth, isAdmin], async (req, res) => {
+router.get('/revenue', [auth, checkPermission('analytics:read'), ...periodQuery], async (req, res) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const revenueData = await Order.aggregate([
-      {
-        $match: {
-          status: 'delivered',
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-          total: { $sum: "$total" }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      }
-    ]);
-
+    const revenueData = await getRevenueSeries(req.period);
     res.json(revenueData);
   } catch (err) {
     console.error('Erreur lors de la récupération des données de revenus:', err);
@@ -177,28 +51,9 @@ router.get('/revenue', [auth, isAdmin], async (req, res) => {
 });
 
 // Route pour obtenir les données des commandes
-router.get('/orders', [auth, isAdmin], async (req, res) => {
+router.get('/orders', [auth, checkPermission('analytics:read'), ...periodQuery], async (req, res) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const orderData = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      }
-    ]);
-
+    const orderData = await getOrderSeries(req.period);
     res.json(orderData);
   } catch (err) {
     console.error('Erreur lors de la récupération des données des commandes:', err);
@@ -206,10 +61,120 @@ router.get('/orders', [auth, isAdmin], async (req, res) => {
   }
 });
 
-// Route pour obtenir tous les utilisateurs
-router.get('/users', [auth, isAdmin], async (req, res) => {
+// Filtres communs aux rapports sur les plats (?channel=order|reservation&category=)
+const menuReportFilters = [
+  query('channel', `Canal invalide (${CHANNELS.join(', ')})`).optional().isIn(CHANNELS),
+  query('category', 'Catégorie invalide').optional().isMongoId(),
+  query('format', 'Format invalide (json, csv)').optional().isIn(['json', 'csv']),
+  query('limit', 'La limite doit être comprise entre 1 et 100').optional().isInt({ min: 1, max: 100 }),
+  query('menuItems', 'Identifiants de plats invalides').optional()
+    .customSanitizer(value => String(value).split(',').filter(Boolean))
+    .custom(ids => ids.every(id => /^[a-f\d]{24}$/i.test(id))),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+const MENU_REPORT_COLUMNS = [
+  { key: 'name', label: 'Plat' },
+  { key: 'category', label: 'Catégorie' },
+  { key: 'price', label: 'Prix' },
+  { key: 'quantity', label: 'Quantité vendue' },
+  { key: 'revenue', label: 'Chiffre d\'affaires' },
+  { key: 'revenueShare', label: 'Part du CA (%)' },
+  { key: 'salesCount', label: 'Nombre de commandes' }
+];
+
+// Route pour obtenir les ventes par plat et par catégorie (meilleures et pires ventes)
+// ?format=csv pour exporter le détail par plat
+router.get('/reports/menu', [
+  auth,
+  checkPermission('analytics:read'),
+  ...periodQuery,
+  ...menuReportFilters
+], async (req, res) => {
   try {
-    const users = await User.find({ role: 'client' }).select('-password');
+    const options = { channel: req.query.channel, category: req.query.category };
+    const limit = parseInt(req.query.limit, 10) || 5;
+
+    const items = await getItemSales(req.period, options);
+    const categories = getCategorySales(items);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'ventes-par-plat.csv', MENU_REPORT_COLUMNS, items);
+    }
+
+    res.json({
+      period: { from: req.period.from, to: req.period.to },
+      bestSellers: items.slice(0, limit),
+      worstSellers: items.slice(-limit).reverse(),
+      items,
+      categories
+    });
+  } catch (err) {
+    console.error('Erreur lors de la récupération du rapport des plats:', err);
+    res.status(500).json({ message: 'Erreur lors de la récupération du rapport des plats' });
+  }
+});
+
+// Route pour obtenir les plats commandés ensemble (taux d'association)
+router.get('/reports/menu/pairs', [
+  auth,
+  checkPermission('analytics:read'),
+  ...periodQuery,
+  ...menuReportFilters
+], async (req, res) => {
+  try {
+    const pairs = await getAttachRates(req.period, {
+      channel: req.query.channel,
+      limit: parseInt(req.query.limit, 10) || 20
+    });
+    res.json(pairs);
+  } catch (err) {
+    console.error('Erreur lors de la récupération des associations de plats:', err);
+    res.status(500).json({ message: 'Erreur lors de la récupération des associations de plats' });
+  }
+});
+
+// Route pour obtenir l'évolution des ventes par plat (?menuItems=id1,id2&granularity=week)
+router.get('/reports/menu/trends', [
+  auth,
+  checkPermission('analytics:read'),
+  ...periodQuery,
+  ...menuReportFilters
+], async (req, res) => {
+  try {
+    const trends = await getItemTrends(req.period, {
+      channel: req.query.channel,
+      menuItems: (req.query.menuItems || []).map(id => new mongoose.Types.ObjectId(id))
+    });
+    res.json(trends);
+  } catch (err) {
+    console.error('Erreur lors de la récupération des tendances des plats:', err);
+    res.status(500).json({ message: 'Erreur lors de la récupération des tendances des plats' });
+  }
+});
+
+const USER_LIST = {
+  sortable: ['name', 'email', 'createdAt'],
+  defaultSort: '-createdAt',
+  search: ['name', 'email'],
+  filters: [
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+// Route pour obtenir tous les utilisateurs (clients), paginés
+router.get('/users', [auth, checkPermission('users:manage'), ...listQuery(USER_LIST)], async (req, res) => {
+  try {
+    const users = await paginate(User, req.list, {
+      filter: { role: 'client' },
+      select: '-password'
+    });
     res.json(users);
   } catch (err) {
     res.status(500).json({ message: 'Erreur lors de la récupération des utilisateurs' });
@@ -217,12 +182,12 @@ router.get('/users', [auth, isAdmin], async (req, res) => {
 });
 
 // Route pour modifier le rôle d'un utilisateur
-router.put('/users/:userId/role', [auth, isAdmin], async (req, res) => {
+router.put('/users/:userId/role', [auth, checkPermission('users:manage')], async (req, res) => {
   try {
     const { role } = req.body;
     const { userId } = req.params;
 
-    if (!['client', 'staff', 'admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Rôle invalide' });
     }
 
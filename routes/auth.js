@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../services/tokens');
+const {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/accounts');
 
 // Middleware d'authentification
 const auth = require('../middleware/auth');
@@ -21,7 +30,8 @@ router.post('/register', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, email, password, role = 'client' } = req.body;
+  // Le rôle n'est jamais accepté à l'inscription : seul un administrateur peut l'attribuer
+  const { name, email, password } = req.body;
 
   try {
     let user = await User.findOne({ email });
@@ -34,35 +44,18 @@ router.post('/register', [
       name,
       email,
       password,
-      role
+      role: 'client',
+      emailVerified: false
     });
 
     await user.save();
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          }
-        });
-      }
+    // Un échec d'envoi ne bloque pas l'inscription : l'email peut être renvoyé
+    await sendVerificationEmail(user).catch(err =>
+      console.error('Erreur lors de l\'envoi de l\'email de vérification:', err.message)
     );
+
+    res.json(await issueTokens(user, { userAgent: req.header('user-agent') }));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Erreur serveur');
@@ -96,30 +89,7 @@ router.post('/login', [
       return res.status(400).json({ msg: 'Identifiants invalides' });
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          }
-        });
-      }
-    );
+    res.json(await issueTokens(user, { userAgent: req.header('user-agent') }));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Erreur serveur');
@@ -139,4 +109,172 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirmer l'adresse email à l'aide du lien reçu
+// @access  Public
+router.post('/verify-email', [
+  check('token', 'Le jeton est requis').isString().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await consumeAccountToken('emailVerification', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ msg: 'Lien de vérification invalide ou expiré' });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({ msg: 'Adresse email confirmée' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Renvoyer l'email de vérification
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'Utilisateur non trouvé' });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ msg: 'Adresse email déjà confirmée' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ msg: 'Email de vérification envoyé' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Demander un lien de réinitialisation du mot de passe
+// @access  Public
+router.post('/forgot-password', [
+  check('email', 'Veuillez inclure un email valide').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Même réponse que le compte existe ou non, pour ne pas révéler les emails inscrits
+    res.json({ msg: 'Si un compte existe pour cet email, un lien de réinitialisation a été envoyé' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Choisir un nouveau mot de passe à l'aide du lien reçu
+// @access  Public
+router.post('/reset-password', [
+  check('token', 'Le jeton est requis').isString().not().isEmpty(),
+  check('password', 'Le mot de passe doit contenir au moins 6 caractères').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await consumeAccountToken('passwordReset', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({ msg: 'Lien de réinitialisation invalide ou expiré' });
+    }
+
+    // Le lien reçu par email prouve aussi la possession de l'adresse
+    user.password = req.body.password;
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ msg: 'Mot de passe réinitialisé, veuillez vous reconnecter' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Obtenir un nouveau jeton d'accès à partir d'un jeton de rafraîchissement
+// @access  Public
+router.post('/refresh', [
+  check('refreshToken', 'Le jeton de rafraîchissement est requis').isString().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await rotateRefreshToken(req.body.refreshToken, {
+      userAgent: req.header('user-agent')
+    }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Déconnexion de l'appareil courant
+// @access  Public
+router.post('/logout', [
+  check('refreshToken', 'Le jeton de rafraîchissement est requis').isString().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ msg: 'Déconnexion réussie' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Déconnexion de tous les appareils
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.json({ msg: 'Tous les appareils ont été déconnectés' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
 module.exports = router;
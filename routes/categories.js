@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const checkPermission = require('../middleware/checkPermission');
+const { hasPermission } = require('../config/permissions');
+const Category = require('../models/Category');
+const MenuItem = require('../models/MenuItem');
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'position', 'icon', 'visible', 'translations'];
+
+const categoryValidators = ({ optional = false } = {}) => {
+  const name = check('name', 'Le nom de la catégorie est requis').isString().trim().not().isEmpty();
+  return [
+    optional ? name.optional() : name,
+    check('slug', 'Le slug ne doit contenir que des minuscules, des chiffres et des tirets')
+      .optional().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/),
+    check('description', 'La description est invalide').optional().isString(),
+    check('position', 'La position doit être un entier positif').optional().isInt({ min: 0 }),
+    check('icon', 'L\'icône est invalide').optional().isString(),
+    check('visible', 'Le champ visible doit être un booléen').optional().isBoolean(),
+    check('translations', 'Les traductions doivent être un objet { langue: { name, description } }')
+      .optional()
+      .isObject()
+      .custom(translations => Object.keys(translations).every(language => /^[a-z]{2}$/.test(language))),
+    check('translations.*.name', 'Le nom traduit est invalide').optional().isString(),
+    check('translations.*.description', 'La description traduite est invalide').optional().isString()
+  ];
+};
+
+const idListValidator = (field) =>
+  check(field, 'Une liste d\'identifiants est requise')
+    .isArray({ min: 1 })
+    .custom(ids => ids.every(id => /^[a-f\d]{24}$/i.test(id)) && new Set(ids).size === ids.length);
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Une catégorie se désigne par son identifiant ou par son slug
+const findCategory = (idOrSlug) =>
+  Category.findOne(/^[a-f\d]{24}$/i.test(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug });
+
+const isDuplicateError = (err) => err.code === 11000;
+
+// @route   GET /api/menu/categories
+// @desc    Obtenir les catégories dans l'ordre d'affichage (?lang=en pour les traductions)
+// @access  Public (le personnel peut voir les catégories masquées avec ?includeHidden=true)
+router.get('/', [
+  optionalAuth,
+  query('includeHidden', 'Valeur booléenne attendue').optional().isBoolean(),
+  query('lang', 'Langue invalide').optional().matches(/^[a-z]{2}$/),
+  handleValidation
+], async (req, res) => {
+  try {
+    const canSeeHidden = req.user && hasPermission(req.user.role, 'menu:write');
+    const filter = canSeeHidden && req.query.includeHidden === 'true' ? {} : { visible: true };
+
+    const categories = await Category.find(filter).sort({ position: 1, name: 1 });
+    res.json(categories.map(category => category.localize(req.query.lang)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   PUT /api/menu/categories/reorder
+// @desc    Réordonner les catégories ({ categories: [id, ...] } dans l'ordre voulu)
+// @access  Private (Admin only)
+router.put('/reorder', [
+  auth,
+  checkPermission('categories:manage'),
+  idListValidator('categories'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const ids = req.body.categories;
+    const found = await Category.countDocuments({ _id: { $in: ids } });
+
+    if (found !== ids.length) {
+      return res.status(400).json({ msg: 'Certaines catégories sont introuvables' });
+    }
+
+    await Category.bulkWrite(ids.map((id, position) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { position } } }
+    })));
+
+    const categories = await Category.find().sort({ position: 1, name: 1 });
+    res.json(categories);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   GET /api/menu/categories/:id
+// @desc    Obtenir une catégorie (par identifiant ou slug) et ses plats dans l'ordre d'affichage
+// @access  Public
+router.get('/:id', [
+  optionalAuth,
+  query('lang', 'Langue invalide').optional().matches(/^[a-z]{2}$/),
+  handleValidation
+], async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    const canSeeHidden = req.user && hasPermission(req.user.role, 'menu:write');
+
+    if (!category || (!category.visible && !canSeeHidden)) {
+      return res.status(404).json({ msg: 'Catégorie non trouvée' });
+    }
+
+    const items = await MenuItem.find({
+      category: category._id,
+      ...(canSeeHidden ? {} : { available: true, soldOut: { $ne: true } })
+    }).sort({ position: 1, name: 1 });
+
+    res.json({ ...category.localize(req.query.lang), items });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/menu/categories
+// @desc    Créer une catégorie
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  checkPermission('categories:manage'),
+  ...categoryValidators(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    // Sans position explicite, la catégorie est ajoutée en fin de carte
+    if (fields.position === undefined) {
+      const last = await Category.findOne().sort({ position: -1 }).select('position');
+      fields.position = last ? last.position + 1 : 0;
+    }
+
+    const category = await new Category(fields).save();
+    res.status(201).json(category);
+  } catch (err) {
+    if (isDuplicateError(err)) {
+      return res.status(400).json({ msg: 'Cette catégorie existe déjà' });
+    }
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   PUT /api/menu/categories/:id
+// @desc    Mettre à jour une catégorie
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth,
+  checkPermission('categories:manage'),
+  ...categoryValidators({ optional: true }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Catégorie non trouvée' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    await category.save();
+    res.json(category);
+  } catch (err) {
+    if (isDuplicateError(err)) {
+      return res.status(400).json({ msg: 'Cette catégorie existe déjà' });
+    }
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   PUT /api/menu/categories/:id/items/order
+// @desc    Réordonner les plats d'une catégorie ({ items: [id, ...] } dans l'ordre voulu)
+// @access  Private (Staff & Admin)
+router.put('/:id/items/order', [
+  auth,
+  checkPermission('menu:write'),
+  idListValidator('items'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Catégorie non trouvée' });
+    }
+
+    const ids = req.body.items;
+    const found = await MenuItem.countDocuments({ _id: { $in: ids }, category: category._id });
+
+    if (found !== ids.length) {
+      return res.status(400).json({ msg: 'Certains plats n\'appartiennent pas à cette catégorie' });
+    }
+
+    // Les plats absents de la liste sont placés après ceux qui ont été ordonnés
+    await MenuItem.bulkWrite([
+      {
+        updateMany: {
+          filter: { category: category._id, _id: { $nin: ids } },
+          update: { $inc: { position: ids.length } }
+        }
+      },
+      ...ids.map((id, position) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { position } } }
+      }))
+    ]);
+
+    const items = await MenuItem.find({ category: category._id }).sort({ position: 1, name: 1 });
+    res.json(items);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   DELETE /api/menu/categories/:id
+// @desc    Supprimer une catégorie (?moveTo=<id> pour déplacer ses plats dans une autre catégorie)
+// @access  Private (Admin only)
+router.delete('/:id', [
+  auth,
+  checkPermission('categories:manage'),
+  query('moveTo', 'Catégorie de destination invalide').optional().isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Catégorie non trouvée' });
+    }
+
+    const itemCount = await MenuItem.countDocuments({ category: category._id });
+
+    if (itemCount && !req.query.moveTo) {
+      return res.status(409).json({
+        msg: 'Cette catégorie contient encore des plats, indiquez une catégorie de destination (?moveTo=)',
+        items: itemCount
+      });
+    }
+
+    if (itemCount) {
+      const target = await Category.findById(req.query.moveTo);
+
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({ msg: 'Catégorie de destination invalide' });
+      }
+
+      // Les plats déplacés sont ajoutés à la suite de ceux de la catégorie de destination
+      const last = await MenuItem.findOne({ category: target._id }).sort({ position: -1 }).select('position');
+      await MenuItem.updateMany(
+        { category: category._id },
+        { $set: { category: target._id }, $inc: { position: last ? last.position + 1 : 0 } }
+      );
+    }
+
+    await category.deleteOne();
+    res.json({ msg: 'Catégorie supprimée', movedItems: itemCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const { listQuery, paginate } = require('../middleware/listQuery');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const {
+  ACTIVE_STATUSES,
+  estimateArrival,
+  assignDriver,
+  unassignDriver,
+  markPickedUp,
+  markDelivered,
+  recordLocation
+} = require('../services/deliveries');
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+
+// Seules les commandes avec une adresse de livraison sont des courses
+const DELIVERY_FILTER = { 'deliveryAddress.street': { $exists: true, $ne: '' } };
+
+const DELIVERY_LIST = {
+  sortable: ['createdAt', 'status'],
+  defaultSort: '-createdAt',
+  search: ['deliveryAddress.street', 'deliveryAddress.city', 'deliveryAddress.postalCode'],
+  filters: [
+    { type: 'enum', param: 'status', field: 'status', values: ORDER_STATUSES },
+    { type: 'objectId', param: 'driver', field: 'dispatch.driver' },
+    { type: 'exists', param: 'assigned', field: 'dispatch' },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (err, res) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Commande non trouvée' });
+  }
+  res.status(500).send('Erreur serveur');
+};
+
+// Course vue par le livreur : adresse, plats et heure d'arrivée estimée
+const toRun = (order) => ({
+  ...order.toJSON(),
+  estimatedArrival: estimateArrival(order)
+});
+
+// @route   GET /api/deliveries
+// @desc    Obtenir les commandes à livrer (?assigned=false pour celles sans livreur, ?driver=<id>)
+// @access  Private (Staff & Admin)
+router.get('/', [
+  auth,
+  checkPermission('deliveries:assign'),
+  ...listQuery(DELIVERY_LIST)
+], async (req, res) => {
+  try {
+    const deliveries = await paginate(Order, req.list, {
+      filter: DELIVERY_FILTER,
+      populate: [
+        { path: 'user', select: 'name email' },
+        { path: 'dispatch.driver', select: 'name' }
+      ]
+    });
+    res.json(deliveries);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/deliveries/drivers
+// @desc    Obtenir les livreurs et leur nombre de courses en cours
+// @access  Private (Staff & Admin)
+router.get('/drivers', [auth, checkPermission('deliveries:assign')], async (req, res) => {
+  try {
+    const [drivers, loads] = await Promise.all([
+      User.find({ role: 'driver' }).select('name email').sort({ name: 1 }),
+      Order.aggregate([
+        { $match: { 'dispatch.driver': { $exists: true }, status: { $in: ACTIVE_STATUSES } } },
+        { $group: { _id: '$dispatch.driver', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const activeRuns = new Map(loads.map(load => [String(load._id), load.count]));
+    res.json(drivers.map(driver => ({
+      ...driver.toJSON(),
+      activeRuns: activeRuns.get(driver.id) || 0
+    })));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/deliveries/mine
+// @desc    Obtenir ses courses (?status=out_for_delivery, ?active=false pour l'historique)
+// @access  Private (Livreur)
+router.get('/mine', [
+  auth,
+  checkPermission('deliveries:run'),
+  check('active', 'Valeur booléenne attendue').optional().isBoolean(),
+  ...listQuery({ ...DELIVERY_LIST, defaultSort: 'createdAt' })
+], async (req, res) => {
+  try {
+    const filter = { 'dispatch.driver': req.user.id };
+    if (req.query.active !== 'false') {
+      filter.status = { $in: ACTIVE_STATUSES };
+    }
+
+    const runs = await paginate(Order, req.list, {
+      filter,
+      populate: [{ path: 'user', select: 'name' }]
+    });
+    runs.data = runs.data.map(toRun);
+    res.json(runs);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   PUT /api/deliveries/:orderId/driver
+// @desc    Confier une commande à un livreur ({ driver })
+// @access  Private (Staff & Admin)
+router.put('/:orderId/driver', [
+  auth,
+  checkPermission('deliveries:assign'),
+  check('driver', 'Identifiant de livreur invalide').isMongoId(),
+  handleValidation
+], async (req, res) => {
+  try {
+    res.json(await assignDriver(req.params.orderId, req.body.driver, req.user.id));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   DELETE /api/deliveries/:orderId/driver
+// @desc    Retirer le livreur d'une commande qui n'est pas encore partie
+// @access  Private (Staff & Admin)
+router.delete('/:orderId/driver', [auth, checkPermission('deliveries:assign')], async (req, res) => {
+  try {
+    res.json(await unassignDriver(req.params.orderId));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/deliveries/:orderId/pickup
+// @desc    Indiquer que la commande a été récupérée et part en livraison
+// @access  Private (Livreur de la course)
+router.post('/:orderId/pickup', [auth, checkPermission('deliveries:run')], async (req, res) => {
+  try {
+    res.json(toRun(await markPickedUp(req.params.orderId, req.user.id)));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/deliveries/:orderId/delivered
+// @desc    Indiquer que la commande a été remise au client
+// @access  Private (Livreur de la course)
+router.post('/:orderId/delivered', [auth, checkPermission('deliveries:run')], async (req, res) => {
+  try {
+    res.json(toRun(await markDelivered(req.params.orderId, req.user.id)));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/deliveries/:orderId/location
+// @desc    Transmettre sa position pendant la course ({ lat, lng })
+// @access  Private (Livreur de la course)
+router.post('/:orderId/location', [
+  auth,
+  checkPermission('deliveries:run'),
+  check('lat', 'La latitude est invalide').isFloat({ min: -90, max: 90 }),
+  check('lng', 'La longitude est invalide').isFloat({ min: -180, max: 180 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const order = await recordLocation(req.params.orderId, req.user.id, {
+      lat: parseFloat(req.body.lat),
+      lng: parseFloat(req.body.lng)
+    });
+    res.json({ location: order.dispatch.location, estimatedArrival: estimateArrival(order) });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+module.exports = router;
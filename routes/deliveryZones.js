@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const checkPermission = require('../middleware/checkPermission');
+const { hasPermission } = require('../config/permissions');
+const DeliveryZone = require('../models/DeliveryZone');
+const { findZone, getActiveZones } = require('../services/deliveryZones');
+
+const GEOMETRY_TYPES = DeliveryZone.schema.path('area').schema.path('type').enumValues;
+
+const EDITABLE_FIELDS = [
+  'name', 'postalCodes', 'area', 'fee', 'minimumOrder', 'estimatedMinutes', 'priority', 'active'
+];
+
+const zoneValidators = ({ optional = false } = {}) => {
+  const name = check('name', 'Le nom de la zone est requis').isString().trim().not().isEmpty();
+  const estimatedMinutes = check('estimatedMinutes', 'Le délai estimé doit être un nombre de minutes')
+    .isInt({ min: 0 });
+  return [
+    optional ? name.optional() : name,
+    optional ? estimatedMinutes.optional() : estimatedMinutes,
+    check('postalCodes', 'Les codes postaux doivent être une liste').optional().isArray(),
+    check('postalCodes.*', 'Code postal invalide').isString().trim().not().isEmpty(),
+    check('area', 'La zone doit être un objet GeoJSON').optional({ values: 'null' }).isObject(),
+    check('area.type', `Type de géométrie invalide (${GEOMETRY_TYPES.join(', ')})`)
+      .if(check('area').exists({ values: 'null' }))
+      .isIn(GEOMETRY_TYPES),
+    check('area.coordinates', 'Les coordonnées doivent être une liste')
+      .if(check('area').exists({ values: 'null' }))
+      .isArray(),
+    check('fee', 'Les frais doivent être un nombre positif').optional().isFloat({ min: 0 }),
+    check('minimumOrder', 'Le minimum de commande doit être un nombre positif').optional().isFloat({ min: 0 }),
+    check('priority', 'La priorité doit être un entier').optional().isInt(),
+    check('active', 'Le champ active doit être un booléen').optional().isBoolean()
+  ];
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (err, res) => {
+  if (err.code === 11000) {
+    return res.status(400).json({ msg: 'Cette zone existe déjà' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Zone de livraison non trouvée' });
+  }
+  res.status(500).send('Erreur serveur');
+};
+
+// @route   GET /api/delivery-zones
+// @desc    Obtenir les zones de livraison, leurs frais, minimums et délais
+// @access  Public (les administrateurs voient les zones désactivées avec ?includeInactive=true)
+router.get('/', [
+  optionalAuth,
+  query('includeInactive', 'Valeur booléenne attendue').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const canSeeInactive = req.user && hasPermission(req.user.role, 'delivery:manage');
+    const zones = canSeeInactive && req.query.includeInactive === 'true'
+      ? await DeliveryZone.find().sort({ priority: -1, fee: 1 })
+      : await getActiveZones();
+    res.json(zones);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/delivery-zones/lookup
+// @desc    Trouver la zone qui dessert une adresse (?postalCode= et/ou ?lat=&lng=)
+// @access  Public
+router.get('/lookup', [
+  query('postalCode', 'Le code postal est invalide').optional().isString(),
+  query('lat', 'La latitude est invalide').optional().isFloat({ min: -90, max: 90 }),
+  query('lng', 'La longitude est invalide').optional().isFloat({ min: -180, max: 180 }),
+  query('postalCode', 'Précisez un code postal ou une position').custom((value, { req }) =>
+    Boolean(value || (req.query.lat && req.query.lng))
+  ),
+  handleValidation
+], async (req, res) => {
+  try {
+    const zone = findZone({
+      postalCode: req.query.postalCode,
+      location: req.query.lat && req.query.lng ? { lat: req.query.lat, lng: req.query.lng } : null
+    }, await getActiveZones());
+
+    if (!zone) {
+      return res.status(404).json({ msg: 'Nous ne livrons pas à cette adresse' });
+    }
+    res.json(zone);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/delivery-zones
+// @desc    Créer une zone de livraison
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  checkPermission('delivery:manage'),
+  ...zoneValidators(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const zone = await new DeliveryZone(fields).save();
+    res.status(201).json(zone);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   PUT /api/delivery-zones/:id
+// @desc    Mettre à jour une zone de livraison (area: null retire le polygone)
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth,
+  checkPermission('delivery:manage'),
+  ...zoneValidators({ optional: true }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({ msg: 'Zone de livraison non trouvée' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+
+    await zone.save();
+    res.json(zone);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   DELETE /api/delivery-zones/:id
+// @desc    Supprimer une zone de livraison (les commandes passées gardent leurs conditions)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, checkPermission('delivery:manage')], async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({ msg: 'Zone de livraison non trouvée' });
+    }
+
+    await zone.deleteOne();
+    res.json({ msg: 'Zone de livraison supprimée' });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+module.exports = router;
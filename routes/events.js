@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const { canSee, subscribe, getEventsSince } = require('../services/feed');
+const { createStreamTicket, redeemStreamTicket } = require('../services/tokens');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// Authentification du flux : jeton d'accès dans l'en-tête x-auth-token, ou
+// ticket à usage unique (?ticket=) pour EventSource, qui ne permet pas
+// d'envoyer d'en-têtes. Le jeton d'accès n'est jamais accepté dans l'URL.
+const streamAuth = async (req, res, next) => {
+  if (req.header('x-auth-token') || !req.query.ticket) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const { user, sessionExpiresAt } = await redeemStreamTicket(req.query.ticket);
+    req.user = user;
+    req.tokenExpiresAt = sessionExpiresAt;
+    next();
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+};
+
+// Raison de fermer le flux si la session n'est plus valide (jeton expiré,
+// jetons révoqués par une déconnexion ou un changement de rôle ou de mot de
+// passe). Le rôle courant est repris, car il détermine les événements visibles.
+const checkSession = async (req) => {
+  if (req.tokenExpiresAt && Date.now() >= new Date(req.tokenExpiresAt).getTime()) {
+    return 'Session expirée, veuillez vous reconnecter';
+  }
+
+  const user = await User.findById(req.user.id).select('tokenVersion role');
+  if (!user || user.tokenVersion !== (req.user.tokenVersion || 0)) {
+    return 'Session révoquée, veuillez vous reconnecter';
+  }
+  req.user.role = user.role;
+  return null;
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event._id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.payload, createdAt: event.createdAt })}\n\n`);
+};
+
+// @route   POST /api/events/ticket
+// @desc    Obtenir un ticket à usage unique (valable une minute) pour ouvrir le flux
+// @access  Private
+router.post('/ticket', auth, async (req, res) => {
+  try {
+    res.status(201).json(await createStreamTicket(req.user, req.tokenExpiresAt));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   GET /api/events/stream
+// @desc    Flux temps réel (Server-Sent Events) des commandes et réservations.
+//          Reprise possible via ?since=<id> ou l'en-tête Last-Event-ID. Le flux
+//          se termine par un événement « session.expired » quand la session
+//          expire ou est révoquée : demander alors un nouveau ticket.
+// @access  Private (en-tête x-auth-token ou ?ticket=)
+router.get('/stream', streamAuth, async (req, res) => {
+  const since = req.query.since || req.header('last-event-id');
+
+  if (since && !mongoose.Types.ObjectId.isValid(since)) {
+    return res.status(400).json({ msg: 'Curseur invalide' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Les événements reçus pendant le rattrapage sont mis en attente pour
+  // conserver l'ordre et éviter les doublons
+  let lastId = since || null;
+  let pending = [];
+
+  const send = (event) => {
+    if (lastId && String(event._id) <= String(lastId)) return;
+    lastId = event._id;
+    writeEvent(res, event);
+  };
+
+  const unsubscribe = subscribe(event => {
+    if (!canSee(event, req.user)) return;
+    if (pending) {
+      pending.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  let closed = false;
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // La session est revérifiée à chaque battement
+  const heartbeat = setInterval(async () => {
+    try {
+      const reason = await checkSession(req);
+      if (closed) return;
+      if (reason) {
+        cleanup();
+        res.write(`event: session.expired\ndata: ${JSON.stringify({ msg: reason })}\n\n`);
+        return res.end();
+      }
+    } catch (err) {
+      console.error('Erreur lors de la vérification de la session du flux:', err.message);
+    }
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', cleanup);
+
+  try {
+    if (since) {
+      const missed = await getEventsSince(since, req.user);
+      missed.forEach(send);
+    }
+  } catch (err) {
+    console.error('Erreur lors du rattrapage des événements:', err.message);
+  }
+
+  pending.forEach(send);
+  pending = null;
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const MenuItem = require('../models/MenuItem');
+const restaurantConfig = require('../config/restaurant');
+const { STAFF_ROLES } = require('../config/permissions');
+const { isValidBoundary, parseBoundary } = require('../services/analytics');
+const {
+  FORMATS,
+  LANGUAGES,
+  getLanguage,
+  getColumns,
+  streamExport
+} = require('../services/exporter');
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const RESERVATION_STATUSES = Reservation.schema.path('status').enumValues;
+
+// Paramètres communs : ?format=csv|xlsx&lang=fr|en&from=&to=&status=a,b
+const exportQuery = (statuses) => [
+  query('format', `Format invalide (${FORMATS.join(', ')})`).optional().isIn(FORMATS),
+  query('lang', `Langue invalide (${LANGUAGES.join(', ')})`).optional().isIn(LANGUAGES),
+  query('from', 'Date de début invalide').optional().custom(isValidBoundary),
+  query('to', 'Date de fin invalide').optional().custom(isValidBoundary),
+  query('status', 'Statut invalide').optional()
+    .customSanitizer(value => String(value).split(',').filter(Boolean))
+    .custom(values => Boolean(statuses) && values.every(value => statuses.includes(value))),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
+// Filtre Mongo sur la date de création et le statut
+const buildFilter = (req) => {
+  const filter = {};
+  const { timezone } = restaurantConfig;
+
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = parseBoundary(req.query.from, timezone);
+    if (req.query.to) filter.createdAt.$lt = parseBoundary(req.query.to, timezone, { endOfDay: true });
+  }
+  if (req.query.status) {
+    filter.status = { $in: req.query.status };
+  }
+  return filter;
+};
+
+const formatAddress = (address) =>
+  address ? [address.street, address.postalCode, address.city].filter(Boolean).join(', ') : '';
+
+// @route   GET /api/admin/exports/orders
+// @desc    Exporter les commandes (une ligne par article)
+// @access  Private (Admin only)
+router.get('/orders', [
+  auth,
+  checkPermission('analytics:read'),
+  ...exportQuery(ORDER_STATUSES)
+], async (req, res) => {
+  const cursor = Order.find(buildFilter(req))
+    .populate('user', ['name', 'email'])
+    .populate('items.menuItem', 'name')
+    .sort({ createdAt: -1 })
+    .cursor();
+
+  await streamExport(res, {
+    format: req.query.format || 'csv',
+    filename: 'commandes',
+    columns: getColumns('orders', [
+      'orderId', 'createdAt', 'customerName', 'customerEmail', 'status', 'paymentStatus',
+      'item', 'quantity', 'unitPrice', 'lineTotal',
+      'subtotal', 'taxes', 'fees', 'totalAmount', 'deliveryAddress'
+    ], getLanguage(req)),
+    cursor,
+    toRows: (order) => {
+      const common = {
+        orderId: String(order._id),
+        createdAt: order.createdAt,
+        customerName: order.user ? order.user.name : '',
+        customerEmail: order.user ? order.user.email : '',
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        subtotal: order.subtotal,
+        taxes: order.taxes,
+        fees: order.fees,
+        totalAmount: order.totalAmount,
+        deliveryAddress: formatAddress(order.deliveryAddress)
+      };
+
+      if (!order.items.length) {
+        return [common];
+      }
+
+      return order.items.map(item => ({
+        ...common,
+        item: item.name || (item.menuItem && item.menuItem.name) || '',
+        quantity: item.quantity,
+        unitPrice: item.price,
+        lineTotal: item.lineTotal !== undefined ? item.lineTotal : item.price * item.quantity
+      }));
+    }
+  });
+});
+
+// @route   GET /api/admin/exports/reservations
+// @desc    Exporter les réservations
+// @access  Private (Admin only)
+router.get('/reservations', [
+  auth,
+  checkPermission('analytics:read'),
+  ...exportQuery(RESERVATION_STATUSES)
+], async (req, res) => {
+  await streamExport(res, {
+    format: req.query.format || 'csv',
+    filename: 'reservations',
+    columns: getColumns('reservations', [
+      'reservationId', 'createdAt', 'date', 'time', 'type', 'status', 'name', 'email',
+      'phone', 'numberOfPeople', 'address', 'totalAmount', 'specialRequests'
+    ], getLanguage(req)),
+    cursor: Reservation.find(buildFilter(req))
+      .populate('order', 'totalAmount status')
+      .sort({ date: -1, time: -1 })
+      .cursor(),
+    // Le montant est celui des plats commandés avec la réservation
+    toRows: (reservation) => [{
+      ...reservation.toJSON(),
+      reservationId: String(reservation._id),
+      totalAmount: reservation.order && reservation.order.status !== 'cancelled'
+        ? reservation.order.totalAmount
+        : 0
+    }]
+  });
+});
+
+// @route   GET /api/admin/exports/menu
+// @desc    Exporter les éléments du menu
+// @access  Private (Admin only)
+router.get('/menu', [
+  auth,
+  checkPermission('analytics:read'),
+  ...exportQuery()
+], async (req, res) => {
+  await streamExport(res, {
+    format: req.query.format || 'csv',
+    filename: 'menu',
+    columns: getColumns('menu', [
+      'name', 'category', 'description', 'price', 'available', 'createdAt'
+    ], getLanguage(req)),
+    cursor: MenuItem.find(buildFilter(req))
+      .select('-image -images')
+      .populate('category', 'name')
+      .sort({ category: 1, position: 1, name: 1 })
+      .cursor(),
+    toRows: (menuItem) => [{
+      ...menuItem.toJSON(),
+      category: menuItem.category ? menuItem.category.name : ''
+    }]
+  });
+});
+
+// @route   GET /api/admin/exports/staff
+// @desc    Exporter la liste du personnel et des salaires
+// @access  Private (Admin only)
+router.get('/staff', [
+  auth,
+  checkPermission('staff:manage'),
+  ...exportQuery()
+], async (req, res) => {
+  const filter = { ...buildFilter(req), role: { $in: STAFF_ROLES } };
+
+  await streamExport(res, {
+    format: req.query.format || 'csv',
+    filename: 'personnel',
+    columns: getColumns('staff', ['name', 'email', 'role', 'salary', 'createdAt'], getLanguage(req)),
+    cursor: User.find(filter).select('name email role salary createdAt').sort({ name: 1 }).cursor(),
+    toRows: (user) => [user.toJSON()]
+  });
+});
+
+module.exports = router;
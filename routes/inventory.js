@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const { listQuery, paginate } = require('../middleware/listQuery');
+const Ingredient = require('../models/Ingredient');
+const StockMovement = require('../models/StockMovement');
+const MenuItem = require('../models/MenuItem');
+const {
+  restock,
+  adjustStock,
+  refreshIngredients,
+  refreshMenuItem,
+  getLowStock
+} = require('../services/inventory');
+
+const UNITS = Ingredient.schema.path('unit').enumValues;
+const MOVEMENT_TYPES = StockMovement.schema.path('type').enumValues;
+// Mouvements pouvant être saisis à la main (les autres sont générés)
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'waste'];
+
+const INGREDIENT_LIST = {
+  sortable: ['name', 'stock', 'createdAt'],
+  defaultSort: 'name',
+  defaultLimit: 100,
+  search: ['name'],
+  filters: [
+    { type: 'enum', param: 'unit', field: 'unit', values: UNITS },
+    { type: 'boolean', param: 'active', field: 'active' }
+  ]
+};
+
+const MOVEMENT_LIST = {
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  filters: [
+    { type: 'objectId', param: 'ingredient', field: 'ingredient' },
+    { type: 'enum', param: 'type', field: 'type', values: MOVEMENT_TYPES },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (err, res) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Ingrédient non trouvé' });
+  }
+  res.status(500).send('Erreur serveur');
+};
+
+// @route   GET /api/inventory/ingredients
+// @desc    Obtenir la liste des ingrédients et leur stock
+// @access  Private (Staff & Admin)
+router.get('/ingredients', [
+  auth,
+  checkPermission('inventory:manage'),
+  ...listQuery(INGREDIENT_LIST)
+], async (req, res) => {
+  try {
+    const ingredients = await paginate(Ingredient, req.list);
+    res.json(ingredients);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/inventory/alerts
+// @desc    Obtenir les ingrédients en stock bas et les plats en rupture
+// @access  Private (Staff & Admin)
+router.get('/alerts', [auth, checkPermission('inventory:manage')], async (req, res) => {
+  try {
+    const [lowStock, soldOut] = await Promise.all([
+      getLowStock(),
+      MenuItem.find({ soldOut: true }).select('name category available').sort({ name: 1 })
+    ]);
+    res.json({ lowStock, soldOut });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/inventory/ingredients/:id
+// @desc    Obtenir un ingrédient et les plats qui l'utilisent
+// @access  Private (Staff & Admin)
+router.get('/ingredients/:id', [auth, checkPermission('inventory:manage')], async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+
+    if (!ingredient) {
+      return res.status(404).json({ msg: 'Ingrédient non trouvé' });
+    }
+
+    const menuItems = await MenuItem.find({ 'recipe.ingredient': ingredient._id })
+      .select('name available soldOut recipe');
+
+    res.json({
+      ...ingredient.toJSON(),
+      usedIn: menuItems.map(menuItem => ({
+        _id: menuItem._id,
+        name: menuItem.name,
+        available: menuItem.available,
+        soldOut: menuItem.soldOut,
+        quantity: menuItem.recipe.find(line => line.ingredient.equals(ingredient._id)).quantity
+      }))
+    });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/inventory/ingredients
+// @desc    Ajouter un ingrédient (le stock initial est inscrit au journal)
+// @access  Private (Staff & Admin)
+router.post('/ingredients', [
+  auth,
+  checkPermission('inventory:manage'),
+  check('name', 'Le nom est requis').isString().trim().not().isEmpty(),
+  check('unit', `Unité invalide (${UNITS.join(', ')})`).isIn(UNITS),
+  check('stock', 'Le stock initial doit être un nombre positif').optional().isFloat({ min: 0 }),
+  check('lowStockThreshold', 'Le seuil doit être un nombre positif').optional().isFloat({ min: 0 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const existing = await Ingredient.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(400).json({ msg: 'Cet ingrédient existe déjà' });
+    }
+
+    const ingredient = await new Ingredient({
+      name: req.body.name,
+      unit: req.body.unit,
+      lowStockThreshold: req.body.lowStockThreshold
+    }).save();
+
+    const initialStock = parseFloat(req.body.stock) || 0;
+    if (initialStock > 0) {
+      const stocked = await restock(ingredient._id, initialStock, {
+        user: req.user.id,
+        note: 'Stock initial'
+      });
+      return res.status(201).json(stocked);
+    }
+
+    res.status(201).json(ingredient);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   PUT /api/inventory/ingredients/:id
+// @desc    Mettre à jour un ingrédient (le stock se modifie via restock/adjust)
+// @access  Private (Staff & Admin)
+router.put('/ingredients/:id', [
+  auth,
+  checkPermission('inventory:manage'),
+  check('name', 'Le nom est invalide').optional().isString().trim().not().isEmpty(),
+  check('unit', `Unité invalide (${UNITS.join(', ')})`).optional().isIn(UNITS),
+  check('lowStockThreshold', 'Le seuil doit être un nombre positif').optional().isFloat({ min: 0 }),
+  check('active', 'Le champ active doit être un booléen').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+
+    if (!ingredient) {
+      return res.status(404).json({ msg: 'Ingrédient non trouvé' });
+    }
+
+    ['name', 'unit', 'lowStockThreshold', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) ingredient[field] = req.body[field];
+    });
+
+    await ingredient.save();
+
+    // Désactiver un ingrédient met en rupture les plats qui l'utilisent
+    if (req.body.active !== undefined) {
+      await refreshIngredients([ingredient._id]);
+    }
+
+    res.json(ingredient);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   DELETE /api/inventory/ingredients/:id
+// @desc    Retirer un ingrédient (désactivé pour conserver le journal des mouvements)
+// @access  Private (Staff & Admin)
+router.delete('/ingredients/:id', [auth, checkPermission('inventory:manage')], async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+
+    if (!ingredient) {
+      return res.status(404).json({ msg: 'Ingrédient non trouvé' });
+    }
+
+    ingredient.active = false;
+    await ingredient.save();
+    await refreshIngredients([ingredient._id]);
+
+    res.json({ msg: 'Ingrédient retiré' });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/inventory/ingredients/:id/restock
+// @desc    Réapprovisionner un ingrédient
+// @access  Private (Staff & Admin)
+router.post('/ingredients/:id/restock', [
+  auth,
+  checkPermission('inventory:manage'),
+  check('quantity', 'La quantité doit être un nombre strictement positif').isFloat({ gt: 0 }),
+  check('note', 'La note est invalide').optional().isString(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const ingredient = await restock(req.params.id, parseFloat(req.body.quantity), {
+      user: req.user.id,
+      note: req.body.note
+    });
+    res.json(ingredient);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/inventory/ingredients/:id/adjust
+// @desc    Corriger le stock : niveau compté ({ stock }) ou variation ({ quantity }, ex. perte)
+// @access  Private (Staff & Admin)
+router.post('/ingredients/:id/adjust', [
+  auth,
+  checkPermission('inventory:manage'),
+  check('stock', 'Le stock doit être un nombre positif').optional().isFloat({ min: 0 }),
+  check('quantity', 'La variation doit être un nombre non nul').optional().isFloat()
+    .custom(value => parseFloat(value) !== 0),
+  check('type', `Type invalide (${MANUAL_MOVEMENT_TYPES.join(', ')})`).optional().isIn(MANUAL_MOVEMENT_TYPES),
+  check('note', 'La note est invalide').optional().isString(),
+  check('stock', 'Indiquez soit le stock compté, soit une variation').custom((stock, { req }) =>
+    (stock === undefined) !== (req.body.quantity === undefined)
+  ),
+  handleValidation
+], async (req, res) => {
+  const type = req.body.type || 'adjustment';
+  const quantity = req.body.quantity !== undefined ? parseFloat(req.body.quantity) : undefined;
+
+  if (type === 'waste' && !(quantity < 0)) {
+    return res.status(400).json({ msg: 'Une perte doit être une variation négative' });
+  }
+
+  try {
+    const ingredient = await adjustStock(req.params.id, {
+      stock: req.body.stock !== undefined ? parseFloat(req.body.stock) : undefined,
+      quantity,
+      type,
+      user: req.user.id,
+      note: req.body.note
+    });
+    res.json(ingredient);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/inventory/movements
+// @desc    Journal des mouvements de stock (?ingredient=&type=&from=&to=)
+// @access  Private (Staff & Admin)
+router.get('/movements', [
+  auth,
+  checkPermission('inventory:manage'),
+  ...listQuery(MOVEMENT_LIST)
+], async (req, res) => {
+  try {
+    const movements = await paginate(StockMovement, req.list, {
+      populate: [
+        { path: 'ingredient', select: 'name unit' },
+        { path: 'user', select: 'name' }
+      ]
+    });
+    res.json(movements);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/inventory/recipes/:menuItemId
+// @desc    Obtenir la recette d'un plat
+// @access  Private (Staff & Admin)
+router.get('/recipes/:menuItemId', [auth, checkPermission('inventory:manage')], async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.menuItemId)
+      .select('name soldOut recipe')
+      .populate('recipe.ingredient', 'name unit stock');
+
+    if (!menuItem) {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+
+    res.json(menuItem);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   PUT /api/inventory/recipes/:menuItemId
+// @desc    Définir la recette d'un plat ({ recipe: [{ ingredient, quantity }] } par portion)
+// @access  Private (Staff & Admin)
+router.put('/recipes/:menuItemId', [
+  auth,
+  checkPermission('inventory:manage'),
+  check('recipe', 'La recette doit être une liste').isArray(),
+  check('recipe.*.ingredient', 'Identifiant d\'ingrédient invalide').isMongoId(),
+  check('recipe.*.quantity', 'La quantité doit être un nombre strictement positif').isFloat({ gt: 0 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.menuItemId);
+
+    if (!menuItem) {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+
+    const ids = req.body.recipe.map(line => String(line.ingredient));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ msg: 'Un ingrédient ne peut figurer qu\'une fois dans une recette' });
+    }
+
+    const found = await Ingredient.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return res.status(400).json({ msg: 'Certains ingrédients sont introuvables' });
+    }
+
+    menuItem.recipe = req.body.recipe.map(line => ({
+      ingredient: line.ingredient,
+      quantity: parseFloat(line.quantity)
+    }));
+    await menuItem.save();
+    await refreshMenuItem(menuItem._id);
+
+    const updated = await MenuItem.findById(menuItem._id)
+      .select('name soldOut recipe')
+      .populate('recipe.ingredient', 'name unit stock');
+    res.json(updated);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+module.exports = router;
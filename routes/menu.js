@@ -1,18 +1,213 @@
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { check, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const checkRole = require('../middleware/checkRole');
+const optionalAuth = require('../middleware/optionalAuth');
+const { listQuery, paginate } = require('../middleware/listQuery');
+const { hasPermission } = require('../config/permissions');
+const {
+  ALLERGENS,
+  ALLERGEN_KEYS,
+  DIETARY_TAGS,
+  DIETARY_TAG_KEYS,
+  MAX_SPICY_LEVEL
+} = require('../config/dietary');
+const checkPermission = require('../middleware/checkPermission');
+const uploadImage = require('../middleware/uploadImage');
+const scheduleValidators = require('../middleware/scheduleValidators');
 const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const Menu = require('../models/Menu');
+const MenuItemHistory = require('../models/MenuItemHistory');
+const { processMenuImage, removeMenuImages } = require('../services/media');
+const {
+  getLocalTime,
+  scheduleConditions,
+  getActiveMenus,
+  getMenuPrices,
+  withMenuPrice
+} = require('../services/menuSchedule');
+const { snapshot, diff, recordChange, getPriceHistory } = require('../services/menuHistory');
+
+// Groupes d'options d'un plat (tailles, cuissons, suppléments...)
+const optionGroupValidators = [
+  check('optionGroups', 'Les groupes d\'options doivent être une liste').optional().isArray(),
+  check('optionGroups.*.name', 'Le nom du groupe d\'options est requis').not().isEmpty(),
+  check('optionGroups.*.required', 'Le champ required doit être un booléen').optional().isBoolean(),
+  check('optionGroups.*.minSelections', 'Le minimum de choix est invalide').optional().isInt({ min: 0 }),
+  check('optionGroups.*.maxSelections', 'Le maximum de choix est invalide').optional().isInt({ min: 1 }),
+  check('optionGroups.*.options', 'Un groupe doit contenir au moins une option').isArray({ min: 1 }),
+  check('optionGroups.*.options.*.name', 'Le nom de l\'option est requis').not().isEmpty(),
+  check('optionGroups.*.options.*.priceDelta', 'Le supplément doit être un nombre').optional().isFloat()
+];
+
+const MENU_LIST = {
+  sortable: ['name', 'price', 'category', 'position', 'createdAt'],
+  // Les catégories suivent l'ordre d'affichage choisi par l'administrateur
+  sortFields: { category: ['categoryPosition', 'category'] },
+  defaultSort: 'category,position,name',
+  defaultLimit: 100,
+  search: ['name', 'description'],
+  filters: [
+    { type: 'objectId', param: 'category', field: 'category' },
+    { type: 'boolean', param: 'available', field: 'available' },
+    { type: 'boolean', param: 'soldOut', field: 'soldOut' },
+    { type: 'numberRange', min: 'minPrice', max: 'maxPrice', field: 'price' },
+    { type: 'arrayAll', param: 'tags', field: 'dietaryTags', values: DIETARY_TAG_KEYS },
+    { type: 'arrayNone', param: 'excludeTags', field: 'dietaryTags', values: DIETARY_TAG_KEYS },
+    { type: 'enum', param: 'allergens', field: 'allergens', values: ALLERGEN_KEYS },
+    { type: 'arrayNone', param: 'excludeAllergens', field: 'allergens', values: ALLERGEN_KEYS },
+    { type: 'numberRange', min: 'minSpicy', max: 'maxSpicy', field: 'spicyLevel' }
+  ]
+};
+
+// Position de la catégorie de chaque plat, pour le tri de la carte
+const CATEGORY_POSITION = {
+  stages: [
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: 'category',
+        foreignField: '_id',
+        as: 'categoryOrder'
+      }
+    },
+    { $addFields: { categoryPosition: { $arrayElemAt: ['$categoryOrder.position', 0] } } },
+    { $unset: 'categoryOrder' }
+  ],
+  fields: ['categoryPosition']
+};
+
+// Allergènes, régimes et valeurs nutritionnelles d'un plat
+const dietaryValidators = [
+  check('allergens', 'Les allergènes doivent être une liste').optional().isArray(),
+  check('allergens.*', `Allergène inconnu (${ALLERGEN_KEYS.join(', ')})`).isIn(ALLERGEN_KEYS),
+  check('dietaryTags', 'Les régimes doivent être une liste').optional().isArray(),
+  check('dietaryTags.*', `Régime inconnu (${DIETARY_TAG_KEYS.join(', ')})`).isIn(DIETARY_TAG_KEYS),
+  check('spicyLevel', `Le niveau de piquant doit être compris entre 0 et ${MAX_SPICY_LEVEL}`)
+    .optional().isInt({ min: 0, max: MAX_SPICY_LEVEL }),
+  check('nutrition', 'Les valeurs nutritionnelles sont invalides').optional().isObject(),
+  check([
+    'nutrition.calories', 'nutrition.proteins', 'nutrition.carbohydrates',
+    'nutrition.sugars', 'nutrition.fats', 'nutrition.salt'
+  ], 'Les valeurs nutritionnelles doivent être des nombres positifs').optional().isFloat({ min: 0 })
+];
+
+// Champs modifiables via PATCH/PUT /api/menu/:id. L'image, la recette, la rupture
+// de stock et la position ont leurs propres routes.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'category', 'available', 'optionGroups',
+  'allergens', 'dietaryTags', 'spicyLevel', 'nutrition', 'schedule'
+];
+
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Validation d'un élément du menu ; en mise à jour partielle, tous les champs sont facultatifs
+const menuItemValidators = ({ optional = false } = {}) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(check('name', 'Le nom est requis').not().isEmpty()),
+    field(check('description', 'La description est requise').not().isEmpty()),
+    field(check('price', 'Le prix est requis').isFloat({ min: 0 })),
+    field(check('category', 'La catégorie est requise').isMongoId()),
+    check('available', 'Le champ available doit être un booléen').optional().isBoolean(),
+    check('image', 'Les images doivent être envoyées via POST /api/menu/:id/image')
+      .optional()
+      .not().matches(/^data:/),
+    ...optionGroupValidators,
+    ...dietaryValidators,
+    ...scheduleValidators()
+  ];
+};
+
+const MENU_HISTORY_LIST = {
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  filters: [
+    { type: 'enum', param: 'field', field: 'changes.field', values: EDITABLE_FIELDS },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+// La version (__v) de l'élément sert d'ETag pour les modifications concurrentes
+const setEtag = (res, menuItem) => res.set('ETag', `"${menuItem.__v}"`);
+
+// Vrai si l'en-tête If-Match est absent ou correspond à la version de l'élément
+const matchesIfMatch = (req, menuItem) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''))
+    .includes(String(menuItem.__v));
+};
+
+const versionConflict = (res, menuItem) => {
+  if (menuItem) setEtag(res, menuItem);
+  return res.status(412).json({
+    msg: 'L\'élément a été modifié entre-temps, rechargez-le avant de le modifier',
+    version: menuItem ? menuItem.__v : undefined
+  });
+};
 
 // @route   GET /api/menu
-// @desc    Obtenir tous les éléments du menu
-// @access  Public
-router.get('/', async (req, res) => {
+// @desc    Obtenir les éléments du menu pouvant être commandés à l'instant demandé
+//          (?at=<date ISO>, maintenant par défaut ; ?menu=<id> pour une carte nommée)
+// @access  Public (le personnel peut aussi voir les éléments indisponibles avec ?available=)
+router.get('/', [
+  optionalAuth,
+  query('at', 'Date invalide').optional().isISO8601(),
+  query('menu', 'Carte invalide').optional().isMongoId(),
+  ...listQuery(MENU_LIST)
+], async (req, res) => {
   try {
-    const menuItems = await MenuItem.find({ available: true })
-      .sort({ category: 1, name: 1 });
-    res.json(menuItems);
+    // Seul le personnel peut demander les éléments indisponibles (?available=false),
+    // hors horaires, ou voir les plats des catégories masquées
+    const canSeeUnavailable = req.user && hasPermission(req.user.role, 'menu:write');
+    const showEverything = canSeeUnavailable && req.query.available !== undefined;
+    const local = getLocalTime(req.query.at ? new Date(req.query.at) : new Date());
+    const filter = {};
+
+    if (!showEverything) {
+      filter.available = true;
+      filter.soldOut = { $ne: true };
+      filter.$and = scheduleConditions(local);
+    }
+    if (!canSeeUnavailable) {
+      const hiddenCategories = await Category.find({ visible: false }).distinct('_id');
+      if (hiddenCategories.length) {
+        filter.category = { $nin: hiddenCategories };
+      }
+    }
+
+    const menu = req.query.menu ? await Menu.findById(req.query.menu) : null;
+    if (req.query.menu) {
+      if (!menu || (!menu.active && !canSeeUnavailable)) {
+        return res.status(404).json({ msg: 'Carte non trouvée' });
+      }
+      filter._id = { $in: menu.items.map(entry => entry.menuItem) };
+    }
+
+    const [menuItems, pricingMenus] = await Promise.all([
+      paginate(MenuItem, req.list, {
+        filter,
+        populate: { path: 'category', select: 'name slug icon position' },
+        computed: CATEGORY_POSITION
+      }),
+      menu ? [menu] : getActiveMenus(local)
+    ]);
+
+    // Prix fixés par la carte demandée (aperçu d'une carte inactive ou
+    // programmée), sinon par les cartes actives à cet instant (happy hour...)
+    const prices = getMenuPrices(pricingMenus);
+    res.json({
+      ...menuItems,
+      data: menuItems.data.map(menuItem => withMenuPrice(menuItem, prices))
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Erreur serveur');
@@ -24,14 +219,8 @@ router.get('/', async (req, res) => {
 // @access  Private (Staff & Admin)
 router.post('/', [
   auth,
-  checkRole(['staff', 'admin']),
-  [
-    check('name', 'Le nom est requis').not().isEmpty(),
-    check('description', 'La description est requise').not().isEmpty(),
-    check('price', 'Le prix est requis').isFloat({ min: 0 }),
-    check('category', 'La catégorie est requise').isIn(['Entrées', 'Plats', 'Desserts', 'Boissons']),
-    check('image', 'L\'image est requise').not().isEmpty()
-  ]
+  checkPermission('menu:write'),
+  menuItemValidators()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -39,39 +228,49 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Log des données reçues
-    console.log('Données reçues:', {
-      name: req.body.name,
-      description: req.body.description,
-      price: req.body.price,
-      category: req.body.category,
-      imageLength: req.body.image ? req.body.image.length : 0
-    });
+    // Le prix est validé par menuItemValidators (un plat peut être gratuit)
+    const price = parseFloat(req.body.price);
 
-    // Vérification des données
-    if (!req.body.name || !req.body.description || !req.body.price || !req.body.category || !req.body.image) {
-      return res.status(400).json({ message: 'Tous les champs sont requis' });
+    const category = await Category.findById(req.body.category);
+    if (!category) {
+      return res.status(400).json({ msg: 'Catégorie introuvable' });
     }
 
-    // Vérification du format du prix
-    const price = parseFloat(req.body.price);
-    if (isNaN(price) || price <= 0) {
-      return res.status(400).json({ message: 'Le prix doit être un nombre positif' });
-    }
+    // Le nouvel élément est placé en fin de catégorie
+    const last = await MenuItem.findOne({ category: category._id }).sort({ position: -1 }).select('position');
 
     // Création et sauvegarde de l'élément
     const newMenuItem = new MenuItem({
       name: req.body.name,
       description: req.body.description,
       price: price,
-      category: req.body.category,
+      category: category._id,
+      position: last ? last.position + 1 : 0,
       image: req.body.image,
-      available: req.body.available !== undefined ? req.body.available : true
+      available: req.body.available !== undefined ? req.body.available : true,
+      optionGroups: req.body.optionGroups || [],
+      allergens: req.body.allergens || [],
+      dietaryTags: req.body.dietaryTags || [],
+      spicyLevel: req.body.spicyLevel || 0,
+      nutrition: req.body.nutrition,
+      schedule: req.body.schedule
     });
 
     const menuItem = await newMenuItem.save();
+    await recordChange(menuItem, {
+      action: 'create',
+      changes: diff({}, menuItem, EDITABLE_FIELDS),
+      user: req.user.id
+    });
+
+    setEtag(res, menuItem);
     res.json(menuItem);
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        errors: Object.values(err.errors).map(error => ({ path: error.path, msg: error.message }))
+      });
+    }
     console.error('Erreur détaillée:', err);
     res.status(500).json({ 
       message: 'Erreur lors de l\'ajout de l\'élément au menu',
@@ -80,26 +279,138 @@ router.post('/', [
   }
 });
 
+// Mise à jour partielle : seuls les champs envoyés sont modifiés, avec la même
+// validation qu'à la création. Avec If-Match, la modification est refusée (412)
+// si l'élément a changé depuis sa lecture.
+const updateMenuItem = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const unknownFields = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknownFields.length) {
+    return res.status(400).json({
+      msg: `Champs non modifiables : ${unknownFields.join(', ')}`,
+      fields: unknownFields
+    });
+  }
+
+  try {
+    const menuItem = await MenuItem.findById(req.params.id);
+
+    if (!menuItem) {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+
+    if (!matchesIfMatch(req, menuItem)) {
+      return versionConflict(res, menuItem);
+    }
+
+    const fields = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    // Un élément qui change de catégorie est placé à la fin de sa nouvelle catégorie
+    if (fields.includes('category') && String(req.body.category) !== String(menuItem.category)) {
+      const category = await Category.findById(req.body.category);
+      if (!category) {
+        return res.status(400).json({ msg: 'Catégorie introuvable' });
+      }
+      const last = await MenuItem.findOne({ category: category._id }).sort({ position: -1 }).select('position');
+      menuItem.position = last ? last.position + 1 : 0;
+    }
+
+    const before = snapshot(menuItem, fields);
+    fields.forEach(field => {
+      menuItem[field] = req.body[field];
+    });
+
+    await menuItem.save();
+    await recordChange(menuItem, {
+      action: 'update',
+      changes: diff(before, menuItem, fields),
+      user: req.user.id
+    });
+
+    setEtag(res, menuItem);
+    res.json(menuItem);
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      return versionConflict(res, await MenuItem.findById(req.params.id));
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        errors: Object.values(err.errors).map(error => ({ path: error.path, msg: error.message }))
+      });
+    }
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+};
+
+// @route   PATCH /api/menu/:id
+// @desc    Mettre à jour un élément du menu (champs envoyés uniquement, en-tête If-Match conseillé)
+// @access  Private (Staff & Admin)
+router.patch('/:id', [
+  auth,
+  checkPermission('menu:write'),
+  menuItemValidators({ optional: true })
+], updateMenuItem);
+
+// PUT accepte un élément renvoyé tel qu'il a été lu (GET /api/menu/:id) : les
+// champs non modifiables (_id, __v, image...) sont retirés avant la validation
+// et la catégorie peuplée est ramenée à son identifiant.
+const keepEditableFields = (req, res, next) => {
+  req.body = pickEditable(req.body);
+  const { category } = req.body;
+  if (category && typeof category === 'object' && category._id) {
+    req.body.category = String(category._id);
+  }
+  next();
+};
+
 // @route   PUT /api/menu/:id
-// @desc    Mettre à jour un élément du menu
+// @desc    Mettre à jour un élément du menu (comme PATCH ; les champs non
+//          modifiables renvoyés avec l'élément sont ignorés)
 // @access  Private (Staff & Admin)
 router.put('/:id', [
   auth,
-  checkRole(['staff', 'admin'])
+  checkPermission('menu:write'),
+  keepEditableFields,
+  menuItemValidators({ optional: true })
+], updateMenuItem);
+
+// @route   POST /api/menu/:id/image
+// @desc    Envoyer l'image d'un élément du menu (multipart, champ « image »)
+// @access  Private (Staff & Admin)
+router.post('/:id/image', [
+  auth,
+  checkPermission('menu:write'),
+  uploadImage('image')
 ], async (req, res) => {
   try {
-    const menuItem = await MenuItem.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true }
-    );
+    const menuItem = await MenuItem.findById(req.params.id);
 
     if (!menuItem) {
       return res.status(404).json({ msg: 'Élément non trouvé' });
     }
 
+    const images = await processMenuImage(req.file.buffer);
+    const previousImages = menuItem.toObject().images;
+
+    menuItem.images = images;
+    menuItem.image = images.large;
+    await menuItem.save();
+
+    await removeMenuImages(previousImages);
+
     res.json(menuItem);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     console.error(err.message);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Élément non trouvé' });
@@ -111,7 +422,7 @@ router.put('/:id', [
 // @route   DELETE /api/menu/:id
 // @desc    Supprimer un élément du menu
 // @access  Private (Staff & Admin)
-router.delete('/:id', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.delete('/:id', [auth, checkPermission('menu:write')], async (req, res) => {
   try {
     const menuItem = await MenuItem.findById(req.params.id);
 
@@ -120,8 +431,14 @@ router.delete('/:id', [auth, checkRole(['staff', 'admin'])], async (req, res) =>
     }
 
     // Au lieu de supprimer, on marque comme non disponible
+    const before = snapshot(menuItem, ['available']);
     menuItem.available = false;
     await menuItem.save();
+    await recordChange(menuItem, {
+      action: 'delete',
+      changes: diff(before, menuItem, ['available']),
+      user: req.user.id
+    });
 
     res.json({ msg: 'Élément supprimé du menu' });
   } catch (err) {
@@ -133,23 +450,21 @@ router.delete('/:id', [auth, checkRole(['staff', 'admin'])], async (req, res) =>
   }
 });
 
-// @route   GET /api/menu/categories
-// @desc    Obtenir toutes les catégories
+// @route   GET /api/menu/dietary
+// @desc    Obtenir la liste des allergènes et des régimes alimentaires
 // @access  Public
-router.get('/categories', async (req, res) => {
-  try {
-    const categories = await MenuItem.distinct('category');
-    res.json(categories);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Erreur serveur');
-  }
+router.get('/dietary', (req, res) => {
+  res.json({
+    allergens: ALLERGENS,
+    dietaryTags: DIETARY_TAGS,
+    maxSpicyLevel: MAX_SPICY_LEVEL
+  });
 });
 
 // @route   GET /api/menu/stats
 // @desc    Obtenir les statistiques du menu
 // @access  Private (Staff & Admin)
-router.get('/stats', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.get('/stats', [auth, checkPermission('stats:read')], async (req, res) => {
   try {
     const totalItems = await MenuItem.countDocuments({ available: true });
 
@@ -162,4 +477,77 @@ router.get('/stats', [auth, checkRole(['staff', 'admin'])], async (req, res) =>
   }
 });
 
+// @route   GET /api/menu/:id
+// @desc    Obtenir un élément du menu (l'en-tête ETag donne sa version pour If-Match)
+// @access  Public (le personnel peut aussi voir les éléments indisponibles)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id)
+      .populate('category', 'name slug icon position');
+    const canSeeUnavailable = req.user && hasPermission(req.user.role, 'menu:write');
+
+    if (!menuItem || (!canSeeUnavailable && (!menuItem.available || menuItem.soldOut))) {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+
+    setEtag(res, menuItem);
+    res.json(menuItem);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   GET /api/menu/:id/history
+// @desc    Historique des modifications d'un élément (?field=price pour un champ précis)
+// @access  Private (Staff & Admin)
+router.get('/:id/history', [
+  auth,
+  checkPermission('menu:write'),
+  ...listQuery(MENU_HISTORY_LIST)
+], async (req, res) => {
+  try {
+    const history = await paginate(MenuItemHistory, req.list, {
+      filter: { menuItem: req.params.id },
+      populate: { path: 'user', select: 'name' }
+    });
+    res.json(history);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'CastError') {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   GET /api/menu/:id/price-history
+// @desc    Évolution du prix d'un élément dans le temps
+// @access  Private (Staff & Admin)
+router.get('/:id/price-history', [auth, checkPermission('menu:write')], async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id).select('name price');
+
+    if (!menuItem) {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+
+    res.json({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      currentPrice: menuItem.price,
+      changes: await getPriceHistory(menuItem._id)
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Élément non trouvé' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
 module.exports = router;
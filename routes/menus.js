@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const checkPermission = require('../middleware/checkPermission');
+const scheduleValidators = require('../middleware/scheduleValidators');
+const { hasPermission } = require('../config/permissions');
+const Menu = require('../models/Menu');
+const MenuItem = require('../models/MenuItem');
+const { getLocalTime, isScheduledAt } = require('../services/menuSchedule');
+
+const EDITABLE_FIELDS = ['name', 'description', 'schedule', 'priority', 'active', 'items'];
+
+const menuValidators = ({ optional = false } = {}) => {
+  const name = check('name', 'Le nom de la carte est requis').isString().trim().not().isEmpty();
+  return [
+    optional ? name.optional() : name,
+    check('description', 'La description est invalide').optional().isString(),
+    check('priority', 'La priorité doit être un entier').optional().isInt(),
+    check('active', 'Le champ active doit être un booléen').optional().isBoolean(),
+    check('items', 'Les plats doivent être une liste').optional().isArray(),
+    check('items.*.menuItem', 'Identifiant de plat invalide').isMongoId(),
+    check('items.*.price', 'Le prix doit être un nombre positif').optional({ values: 'null' }).isFloat({ min: 0 }),
+    ...scheduleValidators()
+  ];
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Vérifie que les plats d'une carte existent, sans doublon
+const checkMenuItems = async (items) => {
+  if (!items) return null;
+
+  const ids = items.map(entry => String(entry.menuItem));
+  if (new Set(ids).size !== ids.length) {
+    return 'Un plat ne peut figurer qu\'une fois dans une carte';
+  }
+
+  const found = await MenuItem.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'Certains plats sont introuvables';
+};
+
+// Carte avec l'indication de son activité à l'instant local
+const withCurrent = (menu, local) => ({
+  ...menu.toJSON(),
+  current: menu.active && isScheduledAt(menu.schedule, local)
+});
+
+// @route   GET /api/menus
+// @desc    Obtenir les cartes nommées (déjeuner, dîner, happy hour...) et celles en cours (?at=)
+// @access  Public (le personnel peut voir les cartes désactivées avec ?includeInactive=true)
+router.get('/', [
+  optionalAuth,
+  query('at', 'Date invalide').optional().isISO8601(),
+  query('includeInactive', 'Valeur booléenne attendue').optional().isBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const canSeeInactive = req.user && hasPermission(req.user.role, 'menu:write');
+    const filter = canSeeInactive && req.query.includeInactive === 'true' ? {} : { active: true };
+    const local = getLocalTime(req.query.at ? new Date(req.query.at) : new Date());
+
+    const menus = await Menu.find(filter).sort({ priority: -1, name: 1 });
+    res.json(menus.map(menu => withCurrent(menu, local)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   GET /api/menus/:id
+// @desc    Obtenir une carte nommée et ses plats avec leurs prix sur cette carte
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const menu = await Menu.findById(req.params.id)
+      .populate('items.menuItem', 'name description price image images category available soldOut');
+    const canSeeInactive = req.user && hasPermission(req.user.role, 'menu:write');
+
+    if (!menu || (!menu.active && !canSeeInactive)) {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+
+    const current = withCurrent(menu, getLocalTime());
+    current.items = menu.items
+      .filter(entry => entry.menuItem && (canSeeInactive || (entry.menuItem.available && !entry.menuItem.soldOut)))
+      .map(entry => ({
+        ...entry.menuItem.toJSON(),
+        menuPrice: entry.price !== undefined && entry.price !== null ? entry.price : entry.menuItem.price
+      }));
+
+    res.json(current);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/menus
+// @desc    Créer une carte nommée
+// @access  Private (Staff & Admin)
+router.post('/', [
+  auth,
+  checkPermission('menu:write'),
+  ...menuValidators(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const itemsError = await checkMenuItems(req.body.items);
+    if (itemsError) {
+      return res.status(400).json({ msg: itemsError });
+    }
+
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const menu = await new Menu(fields).save();
+    res.status(201).json(menu);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Cette carte existe déjà' });
+    }
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   PUT /api/menus/:id
+// @desc    Mettre à jour une carte nommée (horaires, prix, plats)
+// @access  Private (Staff & Admin)
+router.put('/:id', [
+  auth,
+  checkPermission('menu:write'),
+  ...menuValidators({ optional: true }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const menu = await Menu.findById(req.params.id);
+
+    if (!menu) {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+
+    const itemsError = await checkMenuItems(req.body.items);
+    if (itemsError) {
+      return res.status(400).json({ msg: itemsError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) menu[field] = req.body[field];
+    });
+
+    await menu.save();
+    res.json(menu);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Cette carte existe déjà' });
+    }
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   DELETE /api/menus/:id
+// @desc    Supprimer une carte nommée (les plats restent au menu)
+// @access  Private (Staff & Admin)
+router.delete('/:id', [auth, checkPermission('menu:write')], async (req, res) => {
+  try {
+    const menu = await Menu.findById(req.params.id);
+
+    if (!menu) {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+
+    await menu.deleteOne();
+    res.json({ msg: 'Carte supprimée' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Carte non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+module.exports = router;
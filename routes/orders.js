@@ -2,20 +2,79 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const checkRole = require('../middleware/checkRole');
+const optionalAuth = require('../middleware/optionalAuth');
+const checkPermission = require('../middleware/checkPermission');
+const requireVerified = require('../middleware/requireVerified');
+const orderItemValidators = require('../middleware/orderItemValidators');
+const { listQuery, paginate } = require('../middleware/listQuery');
 const Order = require('../models/Order');
+const { priceOrder } = require('../services/pricing');
+const { transitionOrder } = require('../services/orderStatus');
+const { refundOrder } = require('../services/orderPayments');
+const { publishOrder } = require('../services/feed');
+const { isDeliveryOrder, getTracking } = require('../services/deliveries');
+const { hasPermission } = require('../config/permissions');
+
+const ORDER_LIST = {
+  sortable: ['createdAt', 'scheduledFor', 'totalAmount', 'status'],
+  defaultSort: '-createdAt',
+  search: ['items.name', 'deliveryAddress.street', 'deliveryAddress.city'],
+  filters: [
+    { type: 'enum', param: 'status', field: 'status', values: Order.schema.path('status').enumValues },
+    { type: 'enum', param: 'paymentStatus', field: 'paymentStatus', values: Order.schema.path('paymentStatus').enumValues },
+    { type: 'objectId', param: 'user', field: 'user' },
+    { type: 'objectId', param: 'reservation', field: 'reservation' },
+    // ?fromReservation=true : plats commandés avec une réservation
+    { type: 'exists', param: 'fromReservation', field: 'reservation' },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+// Contenu d'une commande, commun à la création et au devis
+const orderValidators = [
+  ...orderItemValidators(),
+  check('deliveryAddress', 'L\'adresse de livraison doit être un objet').optional().isObject(),
+  check('deliveryAddress.street', 'La rue est requise pour une livraison')
+    .if((value, { req }) => req.body.deliveryAddress !== undefined)
+    .custom(street => typeof street === 'string' && street.trim() !== ''),
+  check('deliveryAddress.postalCode', 'Le code postal est invalide').optional().isString(),
+  check('deliveryAddress.location.lat', 'La latitude est invalide').optional().isFloat({ min: -90, max: 90 }),
+  check('deliveryAddress.location.lng', 'La longitude est invalide').optional().isFloat({ min: -180, max: 180 })
+];
+
+const handlePricingError = (err, res) => {
+  if (err.errors && err.status) {
+    return res.status(err.status).json({ msg: err.message, errors: err.errors });
+  }
+  console.error(err.message);
+  res.status(500).send('Erreur serveur');
+};
+
+// @route   POST /api/orders/quote
+// @desc    Chiffrer une commande avant validation (prix, taxes, frais et
+//          conditions de livraison de la zone : minimum, délai estimé)
+// @access  Public
+router.post('/quote', [optionalAuth, orderValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { deliveryAddress, allergies = [] } = req.body;
+    res.json(await priceOrder({ items: req.body.items, deliveryAddress, allergies }));
+  } catch (err) {
+    handlePricingError(err, res);
+  }
+});
 
 // @route   POST /api/orders
 // @desc    Créer une nouvelle commande
 // @access  Private
 router.post('/', [
   auth,
-  [
-    check('items', 'Les items sont requis').isArray(),
-    check('items.*.menuItem', 'L\'ID du menu item est requis').not().isEmpty(),
-    check('items.*.quantity', 'La quantité est requise').isInt({ min: 1 }),
-    check('totalAmount', 'Le montant total est requis').isFloat({ min: 0 })
-  ]
+  requireVerified,
+  orderValidators
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -23,35 +82,42 @@ router.post('/', [
   }
 
   try {
+    // Les prix et le total sont calculés côté serveur, jamais repris du client
+    const { deliveryAddress, allergies = [] } = req.body;
+    const pricing = await priceOrder({ items: req.body.items, deliveryAddress, allergies });
+
     const newOrder = new Order({
       user: req.user.id,
-      ...req.body
+      deliveryAddress,
+      allergies,
+      ...pricing,
+      statusHistory: [{ from: null, to: 'pending', changedBy: req.user.id }]
     });
 
     const order = await newOrder.save();
+    publishOrder('order.created', order);
     res.json(order);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Erreur serveur');
+    handlePricingError(err, res);
   }
 });
 
 // @route   GET /api/orders
 // @desc    Obtenir toutes les commandes (staff) ou les commandes de l'utilisateur (client)
+//          Pagination, filtres et tri : voir middleware/listQuery
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, ...listQuery(ORDER_LIST)], async (req, res) => {
   try {
-    let orders;
-    if (['staff', 'admin'].includes(req.user.role)) {
-      orders = await Order.find()
-        .populate('user', ['name', 'email'])
-        .populate('items.menuItem')
-        .sort({ createdAt: -1 });
-    } else {
-      orders = await Order.find({ user: req.user.id })
-        .populate('items.menuItem')
-        .sort({ createdAt: -1 });
+    const canReadAll = hasPermission(req.user.role, 'orders:read-all');
+    const populate = [{ path: 'items.menuItem', select: 'name image images' }];
+    if (canReadAll) {
+      populate.push({ path: 'user', select: 'name email' });
     }
+
+    const orders = await paginate(Order, req.list, {
+      filter: canReadAll ? {} : { user: req.user.id },
+      populate
+    });
     res.json(orders);
   } catch (err) {
     console.error(err.message);
@@ -73,7 +139,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Vérifier si l'utilisateur est autorisé à voir cette commande
-    if (req.user.role === 'client' && order.user.toString() !== req.user.id) {
+    if (!hasPermission(req.user.role, 'orders:read-all') && String(order.user && order.user._id) !== req.user.id) {
       return res.status(403).json({ msg: 'Non autorisé' });
     }
 
@@ -87,14 +153,41 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/tracking
+// @desc    Suivre la livraison d'une commande (étapes, livreur, position, heure d'arrivée estimée)
+// @access  Private (propriétaire de la commande ou personnel)
+router.get('/:id/tracking', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ msg: 'Commande non trouvée' });
+    }
+    if (!hasPermission(req.user.role, 'orders:read-all') && String(order.user) !== req.user.id) {
+      return res.status(403).json({ msg: 'Non autorisé' });
+    }
+    if (!isDeliveryOrder(order)) {
+      return res.status(400).json({ msg: 'Cette commande n\'est pas à livrer' });
+    }
+
+    res.json(await getTracking(order));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Commande non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
 // @route   PUT /api/orders/:id
 // @desc    Mettre à jour le statut d'une commande
 // @access  Private (Staff & Admin)
 router.put('/:id', [
   auth,
-  checkRole(['staff', 'admin']),
+  checkPermission('orders:update-status'),
   [
-    check('status', 'Le statut est requis').isIn(['pending', 'preparing', 'ready', 'delivered', 'cancelled'])
+    check('status', 'Le statut est requis').isIn(Order.schema.path('status').enumValues)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -103,19 +196,22 @@ router.put('/:id', [
   }
 
   try {
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { $set: { status: req.body.status } },
-      { new: true }
-    ).populate('user', ['name', 'email'])
-     .populate('items.menuItem');
-
-    if (!order) {
-      return res.status(404).json({ msg: 'Commande non trouvée' });
-    }
+    const order = await transitionOrder(req.params.id, req.body.status, req.user.id);
+    await order.populate([
+      { path: 'user', select: ['name', 'email'] },
+      { path: 'items.menuItem' }
+    ]);
 
     res.json(order);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        msg: err.message,
+        from: err.from,
+        to: err.to,
+        allowed: err.allowed
+      });
+    }
     console.error(err.message);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Commande non trouvée' });
@@ -125,7 +221,7 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/orders/:id
-// @desc    Annuler une commande
+// @desc    Annuler une commande (les paiements aboutis sont remboursés)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -136,16 +232,31 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Vérifier si l'utilisateur est autorisé à annuler cette commande
-    if (req.user.role === 'client' && order.user.toString() !== req.user.id) {
+    if (!hasPermission(req.user.role, 'orders:update-status') && String(order.user) !== req.user.id) {
       return res.status(403).json({ msg: 'Non autorisé' });
     }
 
     // Au lieu de supprimer, on marque comme annulée
-    order.status = 'cancelled';
-    await order.save();
+    await transitionOrder(order._id, 'cancelled', req.user.id);
 
-    res.json({ msg: 'Commande annulée' });
+    // L'annulation est acquise même si le remboursement échoue : le personnel
+    // peut le relancer depuis POST /api/payments/:id/refund
+    try {
+      const refunds = await refundOrder(order, { reason: 'Commande annulée', user: req.user.id });
+      res.json({ msg: 'Commande annulée', refunds });
+    } catch (err) {
+      console.error('Erreur lors du remboursement de la commande:', err.message);
+      res.json({ msg: 'Commande annulée', refunds: [], refundError: err.message });
+    }
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        msg: err.message,
+        from: err.from,
+        to: err.to,
+        allowed: err.allowed
+      });
+    }
     console.error(err.message);
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Commande non trouvée' });
@@ -157,7 +268,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/orders/stats
 // @desc    Obtenir les statistiques des commandes
 // @access  Private (Staff & Admin)
-router.get('/stats', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.get('/stats', [auth, checkPermission('stats:read')], async (req, res) => {
   try {
     const [total, pending, preparing] = await Promise.all([
       Order.countDocuments(),
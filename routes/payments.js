@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const { hasPermission } = require('../config/permissions');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+const { enabledProviders } = require('../services/payments');
+const {
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  handleWebhook,
+  getRefundableAmount
+} = require('../services/orderPayments');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const handleError = (err, res) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Paiement non trouvé' });
+  }
+  res.status(500).send('Erreur serveur');
+};
+
+const canManage = (user) => hasPermission(user.role, 'payments:manage');
+
+// @route   GET /api/payments/providers
+// @desc    Obtenir les moyens de paiement proposés
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json(enabledProviders);
+});
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Notification signée d'un prestataire de paiement (traitement idempotent)
+// @access  Public (signature vérifiée)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+    res.json(result);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/payments
+// @desc    Créer l'intention de paiement d'une commande ({ order, provider, phoneNumber? })
+// @access  Private (propriétaire de la commande)
+router.post('/', [
+  auth,
+  check('order', 'Identifiant de commande invalide').isMongoId(),
+  check('provider', `Moyen de paiement invalide (${enabledProviders.join(', ')})`).isIn(enabledProviders),
+  check('phoneNumber', 'Numéro de téléphone invalide').optional().matches(/^\+?[0-9 ]{8,20}$/),
+  handleValidation
+], async (req, res) => {
+  try {
+    const order = await Order.findById(req.body.order);
+
+    if (!order) {
+      return res.status(404).json({ msg: 'Commande non trouvée' });
+    }
+    if (String(order.user) !== req.user.id) {
+      return res.status(403).json({ msg: 'Non autorisé' });
+    }
+
+    const payment = await createPaymentIntent({
+      order,
+      user: req.user.id,
+      provider: req.body.provider,
+      details: { phoneNumber: req.body.phoneNumber }
+    });
+
+    res.status(201).json({
+      ...payment.toJSON(),
+      clientSecret: payment.clientSecret
+    });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/payments
+// @desc    Obtenir les paiements d'une commande (?order=<id>) ou l'acompte d'une réservation (?reservation=<id>)
+// @access  Private (propriétaire de la commande ou de la réservation, ou personnel)
+router.get('/', [
+  auth,
+  query('order', 'Identifiant de commande invalide').optional().isMongoId(),
+  query('reservation', 'Identifiant de réservation invalide').optional().isMongoId(),
+  query('order', 'Précisez une commande ou une réservation').custom((value, { req }) =>
+    Boolean(value || req.query.reservation)
+  ),
+  handleValidation
+], async (req, res) => {
+  try {
+    const target = req.query.order
+      ? await Order.findById(req.query.order).select('user')
+      : await Reservation.findById(req.query.reservation).select('user');
+
+    if (!target) {
+      return res.status(404).json({ msg: req.query.order ? 'Commande non trouvée' : 'Réservation non trouvée' });
+    }
+    if (!canManage(req.user) && String(target.user) !== req.user.id) {
+      return res.status(403).json({ msg: 'Non autorisé' });
+    }
+
+    const filter = req.query.order ? { order: target._id } : { reservation: target._id };
+    const payments = await Payment.find(filter).sort({ createdAt: -1 });
+    res.json(payments);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Obtenir un paiement
+// @access  Private (propriétaire ou personnel)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Paiement non trouvé' });
+    }
+    if (!canManage(req.user) && String(payment.user) !== req.user.id) {
+      return res.status(403).json({ msg: 'Non autorisé' });
+    }
+
+    res.json({ ...payment.toJSON(), refundableAmount: getRefundableAmount(payment) });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/payments/:id/capture
+// @desc    Confirmer l'encaissement d'un paiement en espèces
+// @access  Private (Staff & Admin)
+router.post('/:id/capture', [auth, checkPermission('payments:manage')], async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Paiement non trouvé' });
+    }
+
+    res.json(await capturePayment(payment));
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Rembourser tout ou partie d'un paiement ({ amount?, reason? })
+// @access  Private (Staff & Admin)
+router.post('/:id/refund', [
+  auth,
+  checkPermission('payments:manage'),
+  check('amount', 'Le montant doit être un nombre strictement positif').optional().isFloat({ gt: 0 }),
+  check('reason', 'Le motif est invalide').optional().isString(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Paiement non trouvé' });
+    }
+
+    const refund = await refundPayment(payment, {
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason: req.body.reason,
+      user: req.user.id
+    });
+
+    res.json({ refund, payment });
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ msg: 'Un autre remboursement est en cours, réessayez' });
+    }
+    handleError(err, res);
+  }
+});
+
+module.exports = router;
@@ -2,42 +2,292 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const checkRole = require('../middleware/checkRole');
+const optionalAuth = require('../middleware/optionalAuth');
+const checkPermission = require('../middleware/checkPermission');
+const orderItemValidators = require('../middleware/orderItemValidators');
+const { listQuery, paginate } = require('../middleware/listQuery');
 const Reservation = require('../models/Reservation');
+const Order = require('../models/Order');
+const {
+  isValidDate,
+  isValidTime,
+  getAvailability,
+  isSlotAvailable,
+  releaseTables,
+  syncTables
+} = require('../services/availability');
+const { publish, publishReservation } = require('../services/feed');
+const { sendReservationLink } = require('../services/reservationEmails');
+const { applyDepositRules, isDepositDue, refundCancelledDeposit } = require('../services/deposits');
+const { applyNoShowStatus, countNoShows } = require('../services/noShows');
+const { createDepositIntent, createPaymentIntent } = require('../services/orderPayments');
+const { enabledProviders } = require('../services/payments');
+const {
+  buildReservationOrder,
+  updateReservationOrder,
+  saveReservationOrder,
+  cancelReservationOrder,
+  closeReservationOrder
+} = require('../services/reservationOrders');
+const reservationConfig = require('../config/reservations');
 
-// @route   POST /api/reservations
-// @desc    Créer une nouvelle réservation
-// @access  Public
-router.post('/', [
-  check('date', 'La date est requise').not().isEmpty(),
-  check('time', 'L\'heure est requise').not().isEmpty(),
-  check('guests', 'Le nombre de personnes est requis').isInt({ min: 1, max: 10 }),
-  check('name', 'Le nom est requis').not().isEmpty(),
-  check('email', 'Email invalide').isEmail(),
-  check('phone', 'Le numéro de téléphone est requis').not().isEmpty()
-], async (req, res) => {
+const RESERVATION_TYPES = Reservation.schema.path('type').enumValues;
+const RESERVATION_STATUSES = Reservation.schema.path('status').enumValues;
+
+const RESERVATION_LIST = {
+  sortable: ['date', 'time', 'createdAt', 'numberOfPeople', 'status'],
+  defaultSort: 'date,time',
+  search: ['name', 'email', 'phone'],
+  filters: [
+    { type: 'enum', param: 'status', field: 'status', values: RESERVATION_STATUSES },
+    { type: 'enum', param: 'type', field: 'type', values: RESERVATION_TYPES },
+    { type: 'objectId', param: 'user', field: 'user' },
+    { type: 'dateStringRange', from: 'dateFrom', to: 'dateTo', field: 'date' },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
+
+// Champs qu'un client ou le personnel peut renseigner. Les plats (items) ne
+// sont pas des champs de la réservation : ils forment sa commande liée.
+const EDITABLE_FIELDS = [
+  'name', 'email', 'phone', 'date', 'time', 'type', 'numberOfPeople',
+  'address', 'postalCode', 'location', 'specialRequests'
+];
+
+// Champs dont dépend la commande liée (heure de service, adresse de livraison)
+const ORDER_FIELDS = ['date', 'time', 'type', 'address', 'postalCode', 'location'];
+
+// Détail de la commande liée renvoyé avec une réservation
+const ORDER_SUMMARY = 'items allergies subtotal taxes fees delivery totalAmount status';
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Validateurs alignés sur le schéma Reservation. `optional` permet de les
+// réutiliser pour les mises à jour partielles.
+const reservationValidators = ({ optional = false } = {}) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  const isType = (type) => (value, { req }) => (req.body.type || type) === type;
+
+  return [
+    field('name', 'Le nom est requis').not().isEmpty(),
+    field('email', 'Email invalide').isEmail(),
+    field('phone', 'Le numéro de téléphone est requis').not().isEmpty(),
+    field('date', 'La date doit être au format AAAA-MM-JJ').custom(isValidDate),
+    field('time', 'L\'heure doit être au format HH:mm').custom(isValidTime),
+    field('type', 'Le type de réservation est invalide').isIn(RESERVATION_TYPES),
+    check('numberOfPeople', 'Le nombre de personnes est requis')
+      .if(optional ? (value) => value !== undefined : isType('surPlace'))
+      .isInt({ min: 1 }),
+    check('address', 'L\'adresse de livraison est requise')
+      .if(optional ? (value) => value !== undefined : isType('livraison'))
+      .not().isEmpty(),
+    check('postalCode', 'Le code postal est invalide').optional().isString(),
+    check('location.lat', 'La latitude est invalide').optional().isFloat({ min: -90, max: 90 }),
+    check('location.lng', 'La longitude est invalide').optional().isFloat({ min: -180, max: 180 }),
+    ...orderItemValidators({ optional: true }),
+    // En modification, l'absence de plats d'une livraison est vérifiée sur la réservation
+    ...(optional ? [] : [
+      check('items', 'Les plats sont requis pour une livraison').if(isType('livraison')).isArray({ min: 1 })
+    ])
+  ];
+};
+
+// Statuts pour lesquels le client peut encore modifier ou annuler sa réservation
+const MANAGEABLE_STATUSES = ['awaiting_deposit', 'pending', 'confirmed'];
+
+const isPastCutoff = (date) =>
+  date.getTime() - Date.now() < reservationConfig.changeCutoffHours * 60 * 60 * 1000;
+
+const handleValidation = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
+  next();
+};
+
+// Enregistre une réservation modifiée après avoir mis à jour ses tables, puis
+// sa commande liée (`orderChange`, voir updateReservationOrder). Une réservation
+// annulée ou refusée voit ses plats annulés et son acompte remboursé.
+const saveReservation = async (reservation, res, { user, orderChange } = {}) => {
+  const statusChanged = reservation.isModified('status');
+
+  if (statusChanged && reservation.status === 'confirmed' && isDepositDue(reservation)) {
+    return res.status(409).json({ msg: 'L\'acompte doit être réglé avant la confirmation' });
+  }
+
+  if (!(await syncTables(reservation))) {
+    return res.status(409).json({ msg: 'Aucune table disponible pour ce créneau' });
+  }
+
+  if (statusChanged) {
+    applyNoShowStatus(reservation);
+  }
+  await reservation.save();
+  await saveReservationOrder(orderChange, user);
+  publishReservation(statusChanged ? 'reservation.status' : 'reservation.updated', reservation);
+
+  if (statusChanged) {
+    await closeReservationOrder(reservation, user).catch(err =>
+      console.error('Erreur lors de l\'annulation des plats de la réservation:', err.message)
+    );
+  }
+
+  try {
+    const refunds = await refundCancelledDeposit(reservation, { user });
+    res.json(refunds.length ? { ...reservation.toJSON(), refunds } : reservation);
+  } catch (err) {
+    console.error('Erreur lors du remboursement de l\'acompte:', err.message);
+    res.json({ ...reservation.toJSON(), refundError: err.message });
+  }
+};
+
+// Ajoute aux réservations le nombre de no-shows de leur client
+const withNoShows = async (reservations) => {
+  const counts = await countNoShows(reservations);
+  return reservations.map(reservation => ({
+    ...reservation.toJSON(),
+    customerNoShows: counts.get(String(reservation._id))
+  }));
+};
+
+const paymentValidators = [
+  check('provider', `Moyen de paiement invalide (${enabledProviders.join(', ')})`).isIn(enabledProviders),
+  check('phoneNumber', 'Numéro de téléphone invalide').optional().matches(/^\+?[0-9 ]{8,20}$/),
+  handleValidation
+];
+
+// Crée l'intention de paiement de l'acompte ; le secret client n'est renvoyé qu'ici
+const payDeposit = async (reservation, req, res) => {
+  const payment = await createDepositIntent({
+    reservation,
+    provider: req.body.provider,
+    details: { phoneNumber: req.body.phoneNumber }
+  });
+
+  res.status(201).json({
+    ...payment.toJSON(),
+    clientSecret: payment.clientSecret
+  });
+};
+
+const handleError = (err, res) => {
+  // Plats refusés par la tarification (indisponibles, adresse non desservie...)
+  if (err.errors && err.status) {
+    return res.status(err.status).json({ msg: err.message, errors: err.errors });
+  }
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  console.error(err.message);
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Réservation non trouvée' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  res.status(500).send('Erreur serveur');
+};
 
+// @route   GET /api/reservations/availability
+// @desc    Obtenir les créneaux réservables pour une date et un nombre de personnes
+// @access  Public
+router.get('/availability', [
+  check('date', 'La date doit être au format AAAA-MM-JJ').custom(isValidDate),
+  check('people', 'Le nombre de personnes est requis').isInt({ min: 1 }),
+  handleValidation
+], async (req, res) => {
   try {
-    const newReservation = new Reservation(req.body);
-    const reservation = await newReservation.save();
-    res.json(reservation);
+    const people = parseInt(req.query.people, 10);
+    const slots = await getAvailability(req.query.date, people);
+    res.json({ date: req.query.date, people, slots });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Erreur serveur');
   }
 });
 
-// @route   GET /api/reservations
-// @desc    Obtenir toutes les réservations
+// @route   GET /api/reservations/stats
+// @desc    Obtenir les statistiques des réservations
 // @access  Private (Staff & Admin)
-router.get('/', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.get('/stats', [auth, checkPermission('stats:read')], async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const [total, pending, todayReservations] = await Promise.all([
+      Reservation.countDocuments(),
+      Reservation.countDocuments({ status: 'pending' }),
+      Reservation.countDocuments({
+        date: today.toISOString().split('T')[0]
+      })
+    ]);
+
+    res.json({
+      total,
+      pending,
+      today: todayReservations
+    });
+  } catch (err) {
+    console.error('Erreur lors de la récupération des statistiques:', err);
+    res.status(500).json({ message: 'Erreur serveur' });
+  }
+});
+
+// @route   POST /api/reservations
+// @desc    Créer une nouvelle réservation
+// @access  Public
+router.post('/', [optionalAuth, ...reservationValidators(), handleValidation], async (req, res) => {
   try {
-    const reservations = await Reservation.find()
-      .sort({ date: 1, time: 1 });
+    const fields = pickEditable(req.body);
+    if (req.user) {
+      fields.user = req.user.id;
+    }
+
+    if (fields.type === 'surPlace' &&
+      !(await isSlotAvailable(fields.date, fields.time, parseInt(fields.numberOfPeople, 10)))) {
+      return res.status(409).json({ msg: 'Aucune table disponible pour ce créneau' });
+    }
+
+    const reservation = new Reservation(fields);
+    applyDepositRules(reservation);
+
+    // Plats précommandés ou à livrer : commande liée, chiffrée côté serveur
+    const { items, allergies } = req.body;
+    const order = items && items.length
+      ? await buildReservationOrder(reservation, { items, allergies, user: fields.user })
+      : null;
+
+    const manageToken = reservation.generateManageToken();
+    await reservation.save();
+    await saveReservationOrder(order && { order }, fields.user);
+
+    publishReservation('reservation.created', reservation);
+    sendReservationLink(reservation, manageToken).catch(err =>
+      console.error('Erreur lors de l\'envoi du lien de réservation:', err.message)
+    );
+
+    // Le jeton n'est renvoyé qu'une seule fois : seule son empreinte est conservée
+    res.status(201).json({ ...reservation.toJSON(), order: order || undefined, manageToken });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/reservations/mine
+// @desc    Obtenir les réservations de l'utilisateur connecté
+// @access  Private
+router.get('/mine', [
+  auth,
+  ...listQuery({ ...RESERVATION_LIST, defaultSort: '-date,-time' })
+], async (req, res) => {
+  try {
+    const reservations = await paginate(Reservation, req.list, {
+      filter: { user: req.user.id }
+    });
     res.json(reservations);
   } catch (err) {
     console.error(err.message);
@@ -45,145 +295,343 @@ router.get('/', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
   }
 });
 
-// @route   GET /api/reservations/:id
-// @desc    Obtenir une réservation par ID
-// @access  Private (Staff & Admin)
-router.get('/:id', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+// @route   GET /api/reservations/manage/:token
+// @desc    Consulter sa réservation à l'aide du lien de gestion
+// @access  Public (jeton de gestion)
+router.get('/manage/:token', async (req, res) => {
   try {
-    const reservation = await Reservation.findById(req.params.id);
+    const reservation = await Reservation.findByManageToken(req.params.token);
+
     if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
-    res.json(reservation);
+
+    await reservation.populate('order', ORDER_SUMMARY);
+    res.json({
+      ...reservation.toJSON(),
+      canModify: MANAGEABLE_STATUSES.includes(reservation.status) &&
+        !isPastCutoff(reservation.getSlotDate())
+    });
   } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
+    handleError(err, res);
+  }
+});
+
+// Charge la réservation du lien de gestion et vérifie qu'elle peut encore être modifiée
+const loadManageableReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findByManageToken(req.params.token);
+
+    if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
-    res.status(500).send('Erreur serveur');
+
+    if (!MANAGEABLE_STATUSES.includes(reservation.status)) {
+      return res.status(409).json({ msg: 'Cette réservation ne peut plus être modifiée' });
+    }
+
+    if (isPastCutoff(reservation.getSlotDate())) {
+      return res.status(409).json({
+        msg: `Les modifications ne sont plus possibles à moins de ${reservationConfig.changeCutoffHours} heure(s) du créneau`
+      });
+    }
+
+    req.reservation = reservation;
+    next();
+  } catch (err) {
+    handleError(err, res);
   }
-});
+};
 
-// @route   PUT /api/reservations/:id
-// @desc    Mettre à jour une réservation
-// @access  Private (Staff & Admin)
-router.put('/:id', [
-  auth,
-  checkRole(['staff', 'admin']),
-  check('status', 'Le statut est requis').isIn(['pending', 'confirmed', 'cancelled'])
+// @route   PUT /api/reservations/manage/:token
+// @desc    Reprogrammer sa réservation à l'aide du lien de gestion
+// @access  Public (jeton de gestion)
+router.put('/manage/:token', [
+  check('date', 'La date doit être au format AAAA-MM-JJ').optional().custom(isValidDate),
+  check('time', 'L\'heure doit être au format HH:mm').optional().custom(isValidTime),
+  check('numberOfPeople', 'Le nombre de personnes est invalide').optional().isInt({ min: 1 }),
+  check('specialRequests').optional().isString(),
+  handleValidation,
+  loadManageableReservation
 ], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+  try {
+    const { reservation } = req;
+    ['date', 'time', 'numberOfPeople', 'specialRequests'].forEach(field => {
+      if (req.body[field] !== undefined) reservation[field] = req.body[field];
+    });
+
+    if (isPastCutoff(reservation.getSlotDate())) {
+      return res.status(409).json({
+        msg: `Le nouveau créneau doit être à plus de ${reservationConfig.changeCutoffHours} heure(s)`
+      });
+    }
+
+    const rescheduled = ['date', 'time', 'numberOfPeople'].some(path => reservation.isModified(path));
+    if (rescheduled && reservation.type === 'surPlace' &&
+      !(await isSlotAvailable(reservation.date, reservation.time, reservation.numberOfPeople, reservation._id))) {
+      return res.status(409).json({ msg: 'Aucune table disponible pour ce créneau' });
+    }
+    let orderChange = null;
+    if (rescheduled) {
+      applyDepositRules(reservation);
+      // Les plats sont rechiffrés pour le nouveau créneau
+      orderChange = await updateReservationOrder(reservation);
+    }
+
+    await saveReservation(reservation, res, { orderChange });
+  } catch (err) {
+    handleError(err, res);
   }
+});
 
+// @route   DELETE /api/reservations/manage/:token
+// @desc    Annuler sa réservation à l'aide du lien de gestion
+// @access  Public (jeton de gestion)
+router.delete('/manage/:token', loadManageableReservation, async (req, res) => {
   try {
-    const reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true }
-    );
+    req.reservation.status = 'cancelled';
+    await saveReservation(req.reservation, res);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/reservations/manage/:token/deposit
+// @desc    Régler l'acompte de sa réservation ({ provider, phoneNumber? })
+// @access  Public (jeton de gestion)
+router.post('/manage/:token/deposit', paymentValidators, async (req, res) => {
+  try {
+    const reservation = await Reservation.findByManageToken(req.params.token);
 
     if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
 
-    res.json(reservation);
+    await payDeposit(reservation, req, res);
   } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/reservations/manage/:token/order/payment
+// @desc    Régler les plats commandés avec sa réservation ({ provider, phoneNumber? }),
+//          y compris pour une réservation faite sans compte
+// @access  Public (jeton de gestion)
+router.post('/manage/:token/order/payment', paymentValidators, async (req, res) => {
+  try {
+    const reservation = await Reservation.findByManageToken(req.params.token);
+
+    if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
+
+    const order = reservation.order && await Order.findById(reservation.order);
+    if (!order) {
+      return res.status(404).json({ msg: 'Aucun plat n\'est commandé avec cette réservation' });
+    }
+
+    const payment = await createPaymentIntent({
+      order,
+      user: reservation.user,
+      provider: req.body.provider,
+      details: { phoneNumber: req.body.phoneNumber }
+    });
+
+    res.status(201).json({
+      ...payment.toJSON(),
+      clientSecret: payment.clientSecret
+    });
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   GET /api/reservations
+// @desc    Obtenir toutes les réservations (?sort=-createdAt pour les plus récentes d'abord)
+//          Pagination, filtres et tri : voir middleware/listQuery
+// @access  Private (Staff & Admin)
+router.get('/', [
+  auth,
+  checkPermission('reservations:manage'),
+  ...listQuery(RESERVATION_LIST)
+], async (req, res) => {
+  try {
+    const reservations = await paginate(Reservation, req.list);
+    reservations.data = await withNoShows(reservations.data);
+    res.json(reservations);
+  } catch (err) {
+    console.error(err.message);
     res.status(500).send('Erreur serveur');
   }
 });
 
-// @route   DELETE /api/reservations/:id
-// @desc    Supprimer une réservation
+// @route   GET /api/reservations/:id
+// @desc    Obtenir une réservation par ID, avec le nombre de no-shows du client
 // @access  Private (Staff & Admin)
-router.delete('/:id', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.get('/:id', [auth, checkPermission('reservations:manage')], async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id).populate('order', ORDER_SUMMARY);
+    if (!reservation) {
+      return res.status(404).json({ msg: 'Réservation non trouvée' });
+    }
+    const [withCount] = await withNoShows([reservation]);
+    res.json(withCount);
+  } catch (err) {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/reservations/:id/deposit
+// @desc    Régler l'acompte de sa réservation ({ provider, phoneNumber? })
+// @access  Private (auteur de la réservation)
+router.post('/:id/deposit', [auth, ...paymentValidators], async (req, res) => {
   try {
     const reservation = await Reservation.findById(req.params.id);
 
     if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
+    if (String(reservation.user) !== req.user.id) {
+      return res.status(403).json({ msg: 'Non autorisé' });
+    }
 
-    await reservation.remove();
-    res.json({ msg: 'Réservation supprimée' });
+    await payDeposit(reservation, req, res);
   } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
+    handleError(err, res);
+  }
+});
+
+// @route   POST /api/reservations/:id/deposit/waive
+// @desc    Lever l'acompte demandé pour une réservation
+// @access  Private (Staff & Admin)
+router.post('/:id/deposit/waive', [auth, checkPermission('reservations:manage')], async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
       return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
-    res.status(500).send('Erreur serveur');
+    if (!isDepositDue(reservation)) {
+      return res.status(409).json({ msg: 'Aucun acompte n\'est attendu pour cette réservation' });
+    }
+
+    reservation.deposit.status = 'waived';
+    if (reservation.status === 'awaiting_deposit') {
+      reservation.status = 'pending';
+    }
+    await saveReservation(reservation, res, { user: req.user.id });
+  } catch (err) {
+    handleError(err, res);
   }
 });
 
-// Créer une nouvelle réservation
-router.post('/new', async (req, res) => {
+// @route   PATCH /api/reservations/:id/check-in
+// @desc    Enregistrer l'arrivée du client (annule un no-show marqué entre-temps)
+// @access  Private (Staff & Admin)
+router.patch('/:id/check-in', [auth, checkPermission('reservations:manage')], async (req, res) => {
   try {
-    const reservation = new Reservation(req.body);
-    await reservation.save();
-    res.status(201).json(reservation);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({ msg: 'Réservation non trouvée' });
+    }
+    if (!['confirmed', 'no_show'].includes(reservation.status)) {
+      return res.status(409).json({ msg: 'Seule une réservation confirmée peut être pointée' });
+    }
+
+    reservation.checkedInAt = new Date();
+    reservation.status = 'confirmed';
+    await saveReservation(reservation, res, { user: req.user.id });
+  } catch (err) {
+    handleError(err, res);
   }
 });
 
-// Obtenir toutes les réservations (pour le personnel)
-router.get('/all', checkRole(['admin', 'staff']), async (req, res) => {
+// @route   PUT /api/reservations/:id
+// @desc    Mettre à jour une réservation
+// @access  Private (Staff & Admin)
+router.put('/:id', [
+  auth,
+  checkPermission('reservations:manage'),
+  ...reservationValidators({ optional: true }),
+  check('status', 'Le statut est invalide').optional().isIn(RESERVATION_STATUSES),
+  handleValidation
+], async (req, res) => {
   try {
-    const reservations = await Reservation.find()
-      .sort({ createdAt: -1 });
-    res.json(reservations);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({ msg: 'Réservation non trouvée' });
+    }
+
+    reservation.set(pickEditable(req.body));
+    if (req.body.status) {
+      reservation.status = req.body.status;
+    }
+
+    let orderChange = null;
+    if (req.body.items !== undefined || ORDER_FIELDS.some(path => reservation.isModified(path))) {
+      orderChange = await updateReservationOrder(reservation, {
+        items: req.body.items,
+        allergies: req.body.allergies,
+        user: req.user.id
+      });
+      if (reservation.type === 'livraison' && !reservation.order) {
+        return res.status(400).json({ msg: 'Les plats sont requis pour une livraison' });
+      }
+    }
+
+    await saveReservation(reservation, res, { user: req.user.id, orderChange });
+  } catch (err) {
+    handleError(err, res);
   }
 });
 
-// Mettre à jour le statut d'une réservation
-router.patch('/:id/status', checkRole(['admin', 'staff']), async (req, res) => {
+// @route   PATCH /api/reservations/:id/status
+// @desc    Mettre à jour le statut d'une réservation
+// @access  Private (Staff & Admin)
+router.patch('/:id/status', [
+  auth,
+  checkPermission('reservations:manage'),
+  check('status', 'Le statut est invalide').isIn(RESERVATION_STATUSES),
+  handleValidation
+], async (req, res) => {
   try {
-    const { status } = req.body;
-    const reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
+    const reservation = await Reservation.findById(req.params.id);
+
     if (!reservation) {
-      return res.status(404).json({ message: 'Réservation non trouvée' });
+      return res.status(404).json({ msg: 'Réservation non trouvée' });
     }
-    res.json(reservation);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+
+    reservation.status = req.body.status;
+    await saveReservation(reservation, res, { user: req.user.id });
+  } catch (err) {
+    handleError(err, res);
   }
 });
 
-// @route   GET /api/reservations/stats
-// @desc    Obtenir les statistiques des réservations
+// @route   DELETE /api/reservations/:id
+// @desc    Supprimer une réservation
 // @access  Private (Staff & Admin)
-router.get('/stats', [auth, checkRole(['staff', 'admin'])], async (req, res) => {
+router.delete('/:id', [auth, checkPermission('reservations:manage')], async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const reservation = await Reservation.findById(req.params.id);
 
-    const [total, pending, todayReservations] = await Promise.all([
-      Reservation.countDocuments(),
-      Reservation.countDocuments({ status: 'pending' }),
-      Reservation.countDocuments({
-        date: today.toISOString().split('T')[0]
-      })
-    ]);
+    if (!reservation) {
+      return res.status(404).json({ msg: 'Réservation non trouvée' });
+    }
 
-    res.json({
-      total,
-      pending,
-      today: todayReservations
-    });
+    if (reservation.deposit && reservation.deposit.status === 'paid') {
+      return res.status(409).json({ msg: 'Annulez la réservation pour rembourser son acompte avant de la supprimer' });
+    }
+
+    await cancelReservationOrder(reservation, req.user.id);
+    await releaseTables(reservation);
+    await reservation.deleteOne();
+    publish('reservation.deleted', { payload: { _id: reservation._id } });
+    res.json({ msg: 'Réservation supprimée' });
   } catch (err) {
-    console.error('Erreur lors de la récupération des statistiques:', err);
-    res.status(500).json({ message: 'Erreur serveur' });
+    handleError(err, res);
   }
 });
 
@@ -2,17 +2,32 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const checkRole = require('../middleware/checkRole');
+const checkPermission = require('../middleware/checkPermission');
 const User = require('../models/User');
+const { revokeAllSessions } = require('../services/tokens');
+const { listQuery, paginate } = require('../middleware/listQuery');
+const { STAFF_ROLES } = require('../config/permissions');
+
+const STAFF_LIST = {
+  sortable: ['name', 'salary', 'createdAt'],
+  defaultSort: 'name',
+  search: ['name', 'email'],
+  filters: [
+    { type: 'enum', param: 'role', field: 'role', values: ['staff', 'driver'] },
+    { type: 'numberRange', min: 'minSalary', max: 'maxSalary', field: 'salary' },
+    { type: 'dateRange', from: 'from', to: 'to', field: 'createdAt' }
+  ]
+};
 
 // @route   GET /api/staff
-// @desc    Obtenir la liste du personnel
+// @desc    Obtenir la liste du personnel et des livreurs (?role=driver)
 // @access  Private (Admin only)
-router.get('/', [auth, checkRole(['admin'])], async (req, res) => {
+router.get('/', [auth, checkPermission('staff:manage'), ...listQuery(STAFF_LIST)], async (req, res) => {
   try {
-    const staff = await User.find({ role: 'staff' })
-      .select('-password')
-      .sort({ name: 1 });
+    const staff = await paginate(User, req.list, {
+      filter: { role: { $in: ['staff', 'driver'] } },
+      select: '-password'
+    });
     res.json(staff);
   } catch (err) {
     console.error(err.message);
@@ -25,12 +40,12 @@ router.get('/', [auth, checkRole(['admin'])], async (req, res) => {
 // @access  Private (Admin only)
 router.post('/', [
   auth,
-  checkRole(['admin']),
+  checkPermission('staff:manage'),
   [
     check('name', 'Le nom est requis').not().isEmpty(),
     check('email', 'Email invalide').isEmail(),
     check('password', 'Le mot de passe doit contenir au moins 6 caractères').isLength({ min: 6 }),
-    check('role', 'Le rôle est requis').isIn(['staff', 'admin']),
+    check('role', 'Le rôle est requis').isIn(STAFF_ROLES),
     check('salary', 'Le salaire est requis').isFloat({ min: 0 })
   ]
 ], async (req, res) => {
@@ -53,7 +68,8 @@ router.post('/', [
       email,
       password,
       role,
-      salary
+      salary,
+      emailVerified: true
     });
 
     await user.save();
@@ -70,7 +86,7 @@ router.post('/', [
 // @access  Private (Admin only)
 router.put('/:id', [
   auth,
-  checkRole(['admin']),
+  checkPermission('staff:manage'),
   [
     check('salary', 'Le salaire est requis').isFloat({ min: 0 })
   ]
@@ -88,7 +104,7 @@ router.put('/:id', [
     }
 
     // Vérifier que l'utilisateur est bien un membre du personnel
-    if (!['staff', 'admin'].includes(user.role)) {
+    if (!STAFF_ROLES.includes(user.role)) {
       return res.status(400).json({ msg: 'Cet utilisateur n\'est pas un membre du personnel' });
     }
 
@@ -113,7 +129,7 @@ router.put('/:id', [
 // @route   DELETE /api/staff/:id
 // @desc    Supprimer un membre du personnel
 // @access  Private (Admin only)
-router.delete('/:id', [auth, checkRole(['admin'])], async (req, res) => {
+router.delete('/:id', [auth, checkPermission('staff:manage')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -122,11 +138,12 @@ router.delete('/:id', [auth, checkRole(['admin'])], async (req, res) => {
     }
 
     // Vérifier que l'utilisateur est bien un membre du personnel
-    if (!['staff', 'admin'].includes(user.role)) {
+    if (!STAFF_ROLES.includes(user.role)) {
       return res.status(400).json({ msg: 'Cet utilisateur n\'est pas un membre du personnel' });
     }
 
-    await user.remove();
+    await revokeAllSessions(user._id);
+    await user.deleteOne();
     res.json({ msg: 'Membre du personnel supprimé' });
   } catch (err) {
     console.error(err.message);
@@ -140,18 +157,20 @@ router.delete('/:id', [auth, checkRole(['admin'])], async (req, res) => {
 // @route   GET /api/staff/stats
 // @desc    Obtenir les statistiques du personnel
 // @access  Private (Admin only)
-router.get('/stats', [auth, checkRole(['admin'])], async (req, res) => {
+router.get('/stats', [auth, checkPermission('staff:manage')], async (req, res) => {
   try {
     const totalStaff = await User.countDocuments({ role: 'staff' });
     const totalAdmin = await User.countDocuments({ role: 'admin' });
+    const totalDrivers = await User.countDocuments({ role: 'driver' });
     const averageSalary = await User.aggregate([
-      { $match: { role: { $in: ['staff', 'admin'] } } },
+      { $match: { role: { $in: STAFF_ROLES } } },
       { $group: { _id: null, avg: { $avg: '$salary' } } }
     ]);
 
     res.json({
       totalStaff,
       totalAdmin,
+      totalDrivers,
       averageSalary: averageSalary[0]?.avg || 0
     });
   } catch (err) {
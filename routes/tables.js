@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const checkPermission = require('../middleware/checkPermission');
+const Table = require('../models/Table');
+
+// @route   GET /api/tables
+// @desc    Obtenir la liste des tables
+// @access  Private (Staff & Admin)
+router.get('/', [auth, checkPermission('tables:read')], async (req, res) => {
+  try {
+    const tables = await Table.find().sort({ zone: 1, number: 1 });
+    res.json(tables);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   POST /api/tables
+// @desc    Ajouter une table
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  checkPermission('tables:manage'),
+  [
+    check('number', 'Le numéro de table est requis').not().isEmpty(),
+    check('capacity', 'La capacité doit être un entier positif').isInt({ min: 1 }),
+    check('zone', 'La zone est invalide').optional().isString().not().isEmpty(),
+    check('combinable', 'Le champ combinable doit être un booléen').optional().isBoolean()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { number, capacity, zone, combinable } = req.body;
+
+  try {
+    const existing = await Table.findOne({ number });
+    if (existing) {
+      return res.status(400).json({ msg: 'Cette table existe déjà' });
+    }
+
+    const table = await new Table({ number, capacity, zone, combinable }).save();
+    res.json(table);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   PUT /api/tables/:id
+// @desc    Mettre à jour une table
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth,
+  checkPermission('tables:manage'),
+  [
+    check('number', 'Le numéro de table est invalide').optional().not().isEmpty(),
+    check('capacity', 'La capacité doit être un entier positif').optional().isInt({ min: 1 }),
+    check('zone', 'La zone est invalide').optional().isString().not().isEmpty(),
+    check('combinable', 'Le champ combinable doit être un booléen').optional().isBoolean(),
+    check('active', 'Le champ active doit être un booléen').optional().isBoolean()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({ msg: 'Table non trouvée' });
+    }
+
+    ['number', 'capacity', 'zone', 'combinable', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) table[field] = req.body[field];
+    });
+
+    await table.save();
+    res.json(table);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Table non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// @route   DELETE /api/tables/:id
+// @desc    Retirer une table du plan de salle
+// @access  Private (Admin only)
+router.delete('/:id', [auth, checkPermission('tables:manage')], async (req, res) => {
+  try {
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({ msg: 'Table non trouvée' });
+    }
+
+    // Au lieu de supprimer, on désactive pour conserver l'historique des réservations
+    table.active = false;
+    await table.save();
+
+    res.json({ msg: 'Table retirée' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Table non trouvée' });
+    }
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Remplace les catégories texte des plats (« Entrées », « Plats »...) par des
+// références vers le modèle Category, en créant les catégories manquantes.
+// Usage : npm run migrate:categories
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const MenuItem = require('../models/MenuItem');
+
+// Ordre d'affichage des anciennes catégories codées en dur
+const LEGACY_CATEGORIES = ['Entrées', 'Plats', 'Desserts', 'Boissons'];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/resto-match');
+
+  // Le schéma attend désormais un identifiant : on lit la collection brute
+  const names = await MenuItem.collection.distinct('category', { category: { $type: 'string' } });
+  const ordered = [
+    ...LEGACY_CATEGORIES.filter(name => names.includes(name)),
+    ...names.filter(name => !LEGACY_CATEGORIES.includes(name)).sort()
+  ];
+  let created = 0;
+  let migrated = 0;
+
+  for (const [index, name] of ordered.entries()) {
+    let category = await Category.findOne({ name });
+
+    if (!category) {
+      const last = await Category.findOne().sort({ position: -1 }).select('position');
+      category = await new Category({ name, position: last ? last.position + 1 : index }).save();
+      created++;
+      console.log(`Catégorie créée : ${name}`);
+    }
+
+    // Les plats sont ordonnés par nom au sein de leur catégorie
+    const items = await MenuItem.collection
+      .find({ category: name })
+      .project({ _id: 1 })
+      .sort({ name: 1 })
+      .toArray();
+
+    if (items.length) {
+      await MenuItem.collection.bulkWrite(items.map((item, position) => ({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { $set: { category: category._id, position } }
+        }
+      })));
+    }
+    migrated += items.length;
+    console.log(`${items.length} plat(s) rattaché(s) à ${name}`);
+  }
+
+  console.log(`Migration terminée : ${created} catégorie(s) créée(s), ${migrated} plat(s) migré(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Erreur de migration:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// Convertit les images base64 stockées dans MenuItem.image en fichiers
+// enregistrés via l'adaptateur de stockage, avec leurs variantes.
+// Usage : npm run migrate:menu-images
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const { processMenuImage } = require('../services/media');
+
+const DATA_URL_PATTERN = /^data:image\/[a-z+.-]+;base64,/i;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/resto-match');
+
+  const cursor = MenuItem.find({ image: DATA_URL_PATTERN }).cursor();
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const menuItem of cursor) {
+    try {
+      const buffer = Buffer.from(menuItem.image.replace(DATA_URL_PATTERN, ''), 'base64');
+      const images = await processMenuImage(buffer);
+
+      await MenuItem.updateOne(
+        { _id: menuItem._id },
+        { $set: { image: images.large, images } }
+      );
+      migrated++;
+      console.log(`Image migrée : ${menuItem.name}`);
+    } catch (err) {
+      failed++;
+      console.error(`Échec de la migration pour ${menuItem.name} (${menuItem._id}):`, err.message);
+    }
+  }
+
+  console.log(`Migration terminée : ${migrated} image(s) migrée(s), ${failed} échec(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Erreur de migration:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,126 @@
+// Convertit les plats des réservations (tableau `dishes` recopié depuis le
+// client) en commandes liées référençant le menu, puis retire `dishes` et
+// `totalAmount` des réservations. Les prix historiques sont conservés. Une
+// réservation dont un plat est introuvable dans le menu n'est pas modifiée :
+// son identifiant est listé pour être corrigé à la main. Le script peut être
+// relancé : une réservation déjà migrée est ignorée.
+// Usage : npm run migrate:reservation-dishes
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { roundAmount } = require('../services/pricing');
+
+// Statut de la commande créée selon celui de la réservation
+const ORDER_STATUSES = {
+  awaiting_deposit: 'pending',
+  pending: 'pending',
+  confirmed: 'pending',
+  delivered: 'delivered',
+  completed: 'delivered',
+  rejected: 'cancelled',
+  cancelled: 'cancelled',
+  no_show: 'cancelled'
+};
+
+const toObjectId = (value) => (mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(String(value)) : null);
+
+// Lignes de commande des plats de la réservation, et plats introuvables dans le menu
+const buildItems = async (reservation) => {
+  const ids = reservation.dishes.map(dish => toObjectId(dish._id)).filter(Boolean);
+  const menuItems = await MenuItem.find({ _id: { $in: ids } }).select('name price allergens');
+  const byId = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+  const unmatched = [];
+
+  const items = reservation.dishes.reduce((lines, dish) => {
+    const menuItem = byId.get(String(dish._id));
+    if (!menuItem) {
+      unmatched.push(dish.name || dish._id);
+      return lines;
+    }
+
+    const quantity = Math.max(1, Math.round(dish.quantity || 1));
+    const price = typeof dish.price === 'number' ? dish.price : menuItem.price;
+    lines.push({
+      menuItem: menuItem._id,
+      name: dish.name || menuItem.name,
+      options: [],
+      allergens: menuItem.allergens || [],
+      allergenConflicts: [],
+      quantity,
+      price,
+      basePrice: price,
+      lineTotal: roundAmount(price * quantity)
+    });
+    return lines;
+  }, []);
+
+  return { items, unmatched };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/resto-match');
+
+  // Le schéma ne connaît plus ces champs : on lit la collection brute
+  const reservations = await Reservation.collection
+    .find({ 'dishes.0': { $exists: true }, order: { $exists: false } })
+    .toArray();
+  let migrated = 0;
+  const unresolved = [];
+
+  for (const raw of reservations) {
+    // Commande créée lors d'une exécution interrompue
+    let order = await Order.findOne({ reservation: raw._id }).select('_id');
+
+    if (!order) {
+      const { items, unmatched } = await buildItems(raw);
+      if (unmatched.length) {
+        unresolved.push({ reservation: raw._id, dishes: unmatched });
+        continue;
+      }
+
+      const subtotal = roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0));
+      const status = ORDER_STATUSES[raw.status] || 'pending';
+      order = await new Order({
+        user: raw.user,
+        reservation: raw._id,
+        scheduledFor: Reservation.hydrate(raw).getSlotDate(),
+        items,
+        subtotal,
+        totalAmount: typeof raw.totalAmount === 'number' ? raw.totalAmount : subtotal,
+        status,
+        statusHistory: [{ from: null, to: status, changedAt: raw.createdAt }],
+        deliveryAddress: raw.type === 'livraison'
+          ? { street: raw.address, postalCode: raw.postalCode }
+          : undefined,
+        createdAt: raw.createdAt
+      }).save();
+    }
+
+    await Reservation.collection.updateOne(
+      { _id: raw._id },
+      { $set: { order: order._id }, $unset: { dishes: '', totalAmount: '' } }
+    );
+    migrated++;
+  }
+
+  console.log(`Migration terminée : ${migrated} réservation(s) migrée(s)`);
+
+  if (unresolved.length) {
+    // Ces réservations gardent leurs plats : corrigez les identifiants (ou
+    // retirez les plats) puis relancez la migration
+    console.log(`${unresolved.length} réservation(s) non migrée(s), plats absents du menu :`);
+    unresolved.forEach(({ reservation, dishes }) => {
+      console.log(`  ${reservation} : ${dishes.join(', ')}`);
+    });
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Erreur de migration:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -2,27 +2,58 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const mediaConfig = require('./config/media');
+const { startReservationJobs } = require('./services/reservationJobs');
 const app = express();
 
 // Middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
-app.use(cors());
+// Les images passent par l'envoi multipart : les corps JSON restent petits
+// Le corps brut des webhooks de paiement est conservé pour vérifier leur signature
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
+// ETag est exposé pour que le client puisse renvoyer la version lue (If-Match)
+app.use(cors({ exposedHeaders: ['ETag'] }));
+
+// Fichiers envoyés (images du menu), noms uniques donc mis en cache longtemps
+app.use(mediaConfig.publicPath, express.static(mediaConfig.uploadDir, {
+  maxAge: mediaConfig.cacheMaxAge,
+  immutable: true
+}));
 
 // Routes
+app.use('/api/menu/categories', require('./routes/categories'));
 app.use('/api/menu', require('./routes/menu'));
+app.use('/api/menus', require('./routes/menus'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/reservations', require('./routes/reservations'));
+app.use('/api/admin/exports', require('./routes/exports'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/payments', require('./routes/payments'));
 app.use('/api/staff', require('./routes/staff'));
+app.use('/api/tables', require('./routes/tables'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/delivery-zones', require('./routes/deliveryZones'));
+app.use('/api/deliveries', require('./routes/deliveries'));
+app.use('/api/events', require('./routes/events'));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/resto-match', {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Acomptes de réservation expirés et no-shows
+  startReservationJobs();
+})
 .catch(err => {
   console.error('MongoDB connection error:', err);
   process.exit(1);
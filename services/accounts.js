@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+// Jetons à usage unique envoyés par email. Seule leur empreinte est stockée.
+const TOKEN_TYPES = {
+  emailVerification: {
+    field: 'emailVerificationToken',
+    ttl: 24 * 60 * 60 * 1000
+  },
+  passwordReset: {
+    field: 'passwordResetToken',
+    ttl: 60 * 60 * 1000
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const frontendUrl = (pathname, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+const createAccountToken = async (user, type) => {
+  const { field, ttl } = TOKEN_TYPES[type];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user[field] = {
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl)
+  };
+  await user.save();
+
+  return token;
+};
+
+// Consomme un jeton : il est retiré de façon atomique, si bien qu'il ne peut
+// servir qu'une seule fois. Renvoie l'utilisateur concerné ou null.
+const consumeAccountToken = async (type, token) => {
+  const { field } = TOKEN_TYPES[type];
+
+  return User.findOneAndUpdate(
+    {
+      [`${field}.hash`]: hashToken(token),
+      [`${field}.expiresAt`]: { $gt: new Date() }
+    },
+    { $unset: { [field]: 1 } },
+    { new: true }
+  );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user, 'emailVerification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirmez votre adresse email',
+    text: `Bonjour ${user.name},\n\n` +
+      `Merci pour votre inscription. Confirmez votre adresse email en ouvrant ce lien :\n${frontendUrl('/verify-email', token)}\n\n` +
+      'Ce lien expire dans 24 heures.'
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user, 'passwordReset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Réinitialisation de votre mot de passe',
+    text: `Bonjour ${user.name},\n\n` +
+      `Pour choisir un nouveau mot de passe, ouvrez ce lien :\n${frontendUrl('/reset-password', token)}\n\n` +
+      'Ce lien expire dans une heure. Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email.'
+  });
+};
+
+module.exports = {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const restaurantConfig = require('../config/restaurant');
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const COMPARISONS = ['previous', 'year', 'none'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuts retenus pour le chiffre d'affaires
+const REVENUE_ORDER_STATUSES = ['delivered'];
+
+// Commandes seules et plats commandés avec une réservation
+const ORDER_CHANNELS = {
+  orders: { reservation: { $exists: false } },
+  reservations: { reservation: { $exists: true } }
+};
+
+const BUCKET_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d',
+  month: '%Y-%m'
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Décalage (en ms) entre le fuseau `timezone` et UTC à l'instant `date`
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = Number(part.value);
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Minuit du jour `date` (AAAA-MM-JJ) dans le fuseau du restaurant
+const startOfDay = (date, timezone) => {
+  const utcMidnight = new Date(`${date}T00:00:00Z`);
+  return new Date(utcMidnight.getTime() - getTimezoneOffset(utcMidnight, timezone));
+};
+
+// Accepte une date seule (interprétée dans le fuseau du restaurant) ou une date ISO complète.
+// Une date seule en borne de fin inclut toute la journée.
+const parseBoundary = (value, timezone, { endOfDay = false } = {}) => {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    if (!endOfDay) {
+      return startOfDay(value, timezone);
+    }
+    const nextDay = new Date(new Date(`${value}T00:00:00Z`).getTime() + DAY);
+    return startOfDay(nextDay.toISOString().slice(0, 10), timezone);
+  }
+  return new Date(value);
+};
+
+const isValidBoundary = (value) =>
+  DATE_ONLY_PATTERN.test(value) ? !isNaN(new Date(`${value}T00:00:00Z`)) : !isNaN(new Date(value));
+
+const getComparisonPeriod = (from, to, compare) => {
+  if (compare === 'none') {
+    return null;
+  }
+
+  if (compare === 'year') {
+    const previousFrom = new Date(from);
+    const previousTo = new Date(to);
+    previousFrom.setFullYear(previousFrom.getFullYear() - 1);
+    previousTo.setFullYear(previousTo.getFullYear() - 1);
+    return { from: previousFrom, to: previousTo };
+  }
+
+  const length = to.getTime() - from.getTime();
+  return { from: new Date(from.getTime() - length), to: new Date(from) };
+};
+
+// Construit la période analysée à partir des paramètres de requête.
+// Par défaut : les 30 derniers jours, par jour, comparés aux 30 jours précédents.
+const parsePeriod = (query = {}) => {
+  const timezone = query.timezone || restaurantConfig.timezone;
+  const granularity = query.granularity || 'day';
+  const compare = query.compare || 'previous';
+
+  const to = query.to ? parseBoundary(query.to, timezone, { endOfDay: true }) : new Date();
+  const from = query.from
+    ? parseBoundary(query.from, timezone)
+    : new Date(to.getTime() - 30 * DAY);
+
+  return {
+    from,
+    to,
+    granularity,
+    timezone,
+    compare,
+    previous: getComparisonPeriod(from, to, compare)
+  };
+};
+
+const calculateChange = (current, previous) => {
+  if (!previous) return current ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+};
+
+const sumAmount = async (Model, match) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Chiffre d'affaires des commandes livrées, seules ou liées à une réservation
+const getRevenue = async ({ from, to }) => {
+  const match = { status: { $in: REVENUE_ORDER_STATUSES }, createdAt: { $gte: from, $lt: to } };
+  const [orders, reservations] = await Promise.all([
+    sumAmount(Order, { ...match, ...ORDER_CHANNELS.orders }),
+    sumAmount(Order, { ...match, ...ORDER_CHANNELS.reservations })
+  ]);
+  return { total: orders + reservations, orders, reservations };
+};
+
+const getCounts = async ({ from, to }) => {
+  const createdAt = { $gte: from, $lt: to };
+  const [orders, customers, reservations] = await Promise.all([
+    Order.countDocuments({ createdAt }),
+    User.countDocuments({ role: 'client', createdAt }),
+    Reservation.countDocuments({ createdAt })
+  ]);
+  return { orders, customers, reservations };
+};
+
+const getPeriodKpis = async (range) => {
+  const [revenue, counts] = await Promise.all([getRevenue(range), getCounts(range)]);
+  return { revenue, ...counts };
+};
+
+const compareKpi = (current, previous) => ({
+  total: current,
+  previous: previous === undefined ? null : previous,
+  change: previous === undefined ? null : calculateChange(current, previous)
+});
+
+// Indicateurs clés de la période, avec leur variation par rapport à la période de comparaison
+const getKpis = async (period) => {
+  const [current, previous] = await Promise.all([
+    getPeriodKpis(period),
+    period.previous ? getPeriodKpis(period.previous) : null
+  ]);
+  const prev = (key) => (previous ? previous[key] : undefined);
+
+  return {
+    revenue: {
+      ...compareKpi(current.revenue.total, previous ? previous.revenue.total : undefined),
+      orders: current.revenue.orders,
+      reservations: current.revenue.reservations
+    },
+    orders: compareKpi(current.orders, prev('orders')),
+    customers: compareKpi(current.customers, prev('customers')),
+    reservations: compareKpi(current.reservations, prev('reservations'))
+  };
+};
+
+// Étape d'agrégation qui range chaque document dans son intervalle (heure, jour...)
+const bucketStage = ({ granularity, timezone }) => ({
+  $dateToString: {
+    format: BUCKET_FORMATS[granularity],
+    timezone,
+    date: {
+      $dateTrunc: {
+        date: '$createdAt',
+        unit: granularity,
+        timezone,
+        startOfWeek: 'monday'
+      }
+    }
+  }
+});
+
+const getSeries = (Model, match, period, accumulators) => Model.aggregate([
+  { $match: { ...match, createdAt: { $gte: period.from, $lt: period.to } } },
+  { $group: { _id: bucketStage(period), ...accumulators } },
+  { $sort: { _id: 1 } }
+]);
+
+// Évolution du chiffre d'affaires (commandes seules et plats des réservations) par intervalle
+const getRevenueSeries = async (period) => {
+  const accumulators = { total: { $sum: '$totalAmount' } };
+  const status = { $in: REVENUE_ORDER_STATUSES };
+  const [orders, reservations] = await Promise.all([
+    getSeries(Order, { status, ...ORDER_CHANNELS.orders }, period, accumulators),
+    getSeries(Order, { status, ...ORDER_CHANNELS.reservations }, period, accumulators)
+  ]);
+
+  const buckets = new Map();
+  const add = (key, rows) => rows.forEach(row => {
+    const bucket = buckets.get(row._id) || { _id: row._id, total: 0, orders: 0, reservations: 0 };
+    bucket[key] += row.total;
+    bucket.total += row.total;
+    buckets.set(row._id, bucket);
+  });
+  add('orders', orders);
+  add('reservations', reservations);
+
+  return [...buckets.values()].sort((a, b) => a._id.localeCompare(b._id));
+};
+
+// Nombre de commandes par intervalle
+const getOrderSeries = (period) =>
+  getSeries(Order, {}, period, { count: { $sum: 1 } });
+
+module.exports = {
+  GRANULARITIES,
+  COMPARISONS,
+  isValidTimezone,
+  isValidBoundary,
+  parseBoundary,
+  parsePeriod,
+  calculateChange,
+  bucketStage,
+  getKpis,
+  getRevenueSeries,
+  getOrderSeries
+};
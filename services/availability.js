@@ -0,0 +1,229 @@
+const Table = require('../models/Table');
+const TableBooking = require('../models/TableBooking');
+const serviceHours = require('../config/serviceHours');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const isValidDate = (date) => DATE_PATTERN.test(date) && !isNaN(new Date(`${date}T00:00:00Z`));
+
+const isValidTime = (time) => TIME_PATTERN.test(time);
+
+// Créneaux de début proposés pour une date, d'après les horaires de service
+const getServiceSlots = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const services = serviceHours.days[day] || [];
+  const slots = [];
+
+  services.forEach(({ open, close }) => {
+    const lastStart = toMinutes(close) - serviceHours.reservationDuration;
+    for (let start = toMinutes(open); start <= lastStart; start += serviceHours.slotInterval) {
+      slots.push(toTime(start));
+    }
+  });
+
+  return slots;
+};
+
+// Créneaux élémentaires occupés par une réservation commençant à `time`
+const getOccupiedSlots = (time) => {
+  const interval = serviceHours.slotInterval;
+  const start = Math.floor(toMinutes(time) / interval) * interval;
+  const end = toMinutes(time) + serviceHours.reservationDuration;
+  const slots = [];
+
+  for (let slot = start; slot < end; slot += interval) {
+    slots.push(toTime(slot));
+  }
+
+  return slots;
+};
+
+// Choisit la meilleure combinaison de tables libres pour un nombre de personnes :
+// la plus petite table suffisante, sinon un regroupement de tables combinables
+// d'une même zone.
+const pickTables = (freeTables, people) => {
+  const single = freeTables
+    .filter(table => table.capacity >= people)
+    .sort((a, b) => a.capacity - b.capacity)[0];
+
+  if (single) {
+    return [single];
+  }
+
+  const zones = {};
+  freeTables
+    .filter(table => table.combinable)
+    .forEach(table => {
+      zones[table.zone] = zones[table.zone] || [];
+      zones[table.zone].push(table);
+    });
+
+  let best = null;
+  Object.values(zones).forEach(tables => {
+    const picked = [];
+    let seats = 0;
+    tables
+      .sort((a, b) => b.capacity - a.capacity)
+      .forEach(table => {
+        if (seats < people) {
+          picked.push(table);
+          seats += table.capacity;
+        }
+      });
+
+    if (seats >= people && (!best || picked.length < best.length)) {
+      best = picked;
+    }
+  });
+
+  return best;
+};
+
+const getFreeTables = async (date, time, excludeReservation) => {
+  const filter = { date, slot: { $in: getOccupiedSlots(time) } };
+  if (excludeReservation) {
+    filter.reservation = { $ne: excludeReservation };
+  }
+
+  const [tables, busyIds] = await Promise.all([
+    Table.find({ active: true }),
+    TableBooking.distinct('table', filter)
+  ]);
+
+  const busy = new Set(busyIds.map(String));
+  return tables.filter(table => !busy.has(table.id));
+};
+
+// Liste des créneaux réservables pour une date et un nombre de personnes
+const getAvailability = async (date, people) => {
+  const slots = getServiceSlots(date);
+  if (!slots.length) {
+    return [];
+  }
+
+  const [tables, bookings] = await Promise.all([
+    Table.find({ active: true }),
+    TableBooking.find({ date })
+  ]);
+
+  const busyBySlot = {};
+  bookings.forEach(booking => {
+    busyBySlot[booking.slot] = busyBySlot[booking.slot] || new Set();
+    busyBySlot[booking.slot].add(String(booking.table));
+  });
+
+  return slots.filter(time => {
+    const occupied = getOccupiedSlots(time);
+    const freeTables = tables.filter(table =>
+      occupied.every(slot => !(busyBySlot[slot] && busyBySlot[slot].has(table.id)))
+    );
+    return Boolean(pickTables(freeTables, people));
+  });
+};
+
+const isSlotAvailable = async (date, time, people, excludeReservation) => {
+  if (!getServiceSlots(date).includes(time)) {
+    return false;
+  }
+  const freeTables = await getFreeTables(date, time, excludeReservation);
+  return Boolean(pickTables(freeTables, people));
+};
+
+const releaseTables = async (reservation) => {
+  await TableBooking.deleteMany({ reservation: reservation._id });
+  reservation.tables = [];
+};
+
+// Attribue des tables à une réservation sur place. Chaque occupation est
+// insérée sous l'index unique (table, date, créneau) : si une autre réservation
+// a pris une des tables entre-temps, l'insertion échoue, les occupations déjà
+// posées sont annulées et on retente avec les tables restantes.
+const assignTables = async (reservation, maxAttempts = 3) => {
+  await releaseTables(reservation);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const freeTables = await getFreeTables(reservation.date, reservation.time);
+    const tables = pickTables(freeTables, reservation.numberOfPeople);
+
+    if (!tables) {
+      return null;
+    }
+
+    const bookings = [];
+    tables.forEach(table => {
+      getOccupiedSlots(reservation.time).forEach(slot => {
+        bookings.push({ table: table._id, reservation: reservation._id, date: reservation.date, slot });
+      });
+    });
+
+    try {
+      await TableBooking.insertMany(bookings, { ordered: true });
+      reservation.tables = tables.map(table => table._id);
+      return tables;
+    } catch (err) {
+      await TableBooking.deleteMany({ reservation: reservation._id });
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Met l'attribution des tables en cohérence avec le statut d'une réservation :
+// une réservation sur place confirmée reçoit des tables (réattribuées si la date,
+// l'heure ou le nombre de personnes changent), les autres libèrent les leurs.
+// Renvoie false si aucune table ne peut être attribuée.
+const syncTables = async (reservation) => {
+  const needsTables = reservation.type === 'surPlace' && reservation.status === 'confirmed';
+
+  if (needsTables) {
+    const changed = ['status', 'date', 'time', 'numberOfPeople', 'type']
+      .some(path => reservation.isModified(path));
+    if (reservation.tables.length && !changed) {
+      return true;
+    }
+
+    const previousTables = reservation.tables.slice();
+    const previousBookings = await TableBooking.find({ reservation: reservation._id }).lean();
+
+    if (await assignTables(reservation)) {
+      return true;
+    }
+
+    // Échec de la réattribution : on restaure les tables précédentes si possible
+    if (previousBookings.length) {
+      await TableBooking.insertMany(previousBookings, { ordered: false }).catch(() => {});
+    }
+    reservation.tables = previousTables;
+    return false;
+  }
+
+  if (reservation.status !== 'completed' && reservation.tables.length) {
+    await releaseTables(reservation);
+  }
+  return true;
+};
+
+module.exports = {
+  isValidDate,
+  isValidTime,
+  getServiceSlots,
+  getAvailability,
+  isSlotAvailable,
+  assignTables,
+  releaseTables,
+  syncTables
+};
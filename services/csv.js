@@ -0,0 +1,29 @@
+// Conversion de lignes en CSV. `columns` décrit chaque colonne : { key, label }.
+const escapeValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeValue).join(',');
+
+const toCsv = (columns, rows) => [
+  toCsvRow(columns.map(column => column.label)),
+  ...rows.map(row => toCsvRow(columns.map(column => row[column.key])))
+].join('\n');
+
+// Envoie un fichier CSV (avec BOM pour une ouverture correcte des accents dans Excel)
+const sendCsv = (res, filename, columns, rows) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(`\uFEFF${toCsv(columns, rows)}\n`);
+};
+
+module.exports = {
+  escapeValue,
+  toCsvRow,
+  toCsv,
+  sendCsv
+};
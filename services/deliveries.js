@@ -0,0 +1,212 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const deliveryConfig = require('../config/delivery');
+const { transitionOrder } = require('./orderStatus');
+const { publish } = require('./feed');
+const { hasDeliveryAddress } = require('./deliveryZones');
+
+// Une course peut être confiée ou réattribuée tant que la commande n'est pas partie
+const ASSIGNABLE_STATUSES = ['pending', 'preparing', 'ready'];
+// Courses en cours d'un livreur
+const ACTIVE_STATUSES = ['pending', 'preparing', 'ready', 'out_for_delivery'];
+
+const deliveryError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const isDeliveryOrder = (order) => hasDeliveryAddress(order.deliveryAddress);
+
+const loadOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw deliveryError(404, 'Commande non trouvée');
+  }
+  return order;
+};
+
+// Distance à vol d'oiseau entre deux positions { lat, lng }, en kilomètres
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasPosition = (location) => Boolean(location) &&
+  typeof location.lat === 'number' && typeof location.lng === 'number';
+
+// Heure d'arrivée estimée : d'après la dernière position récente du livreur
+// quand l'adresse est géolocalisée, sinon le délai annoncé pour la zone.
+const estimateArrival = (order, now = new Date()) => {
+  if (order.status === 'delivered') {
+    return order.dispatch && order.dispatch.deliveredAt;
+  }
+  if (order.status === 'cancelled') {
+    return null;
+  }
+
+  const dispatch = order.dispatch;
+  const destination = order.deliveryAddress && order.deliveryAddress.location;
+  const maxAge = deliveryConfig.locationMaxAgeMinutes * 60 * 1000;
+
+  if (order.status === 'out_for_delivery' && dispatch && hasPosition(dispatch.location) &&
+    hasPosition(destination) && now - dispatch.location.updatedAt <= maxAge) {
+    const km = distanceKm(dispatch.location, destination) * deliveryConfig.routeFactor;
+    return new Date(now.getTime() + (km / deliveryConfig.averageSpeedKmh) * 60 * 60 * 1000);
+  }
+
+  const estimatedAt = order.delivery && order.delivery.estimatedAt;
+  if (!estimatedAt) {
+    return null;
+  }
+  // Une estimation dépassée pendant la course est repoussée à maintenant
+  return estimatedAt < now ? now : estimatedAt;
+};
+
+// Suivi d'une commande destiné au client : étapes, livreur et heure d'arrivée
+const getTracking = async (order, now = new Date()) => {
+  const dispatch = order.dispatch;
+  const driver = dispatch && await User.findById(dispatch.driver).select('name');
+  const reachedAt = (status) => {
+    const change = order.statusHistory.find(entry => entry.to === status);
+    return change ? change.changedAt : undefined;
+  };
+
+  return {
+    order: order._id,
+    status: order.status,
+    steps: {
+      placedAt: order.createdAt,
+      preparingAt: reachedAt('preparing'),
+      readyAt: reachedAt('ready'),
+      assignedAt: dispatch && dispatch.assignedAt,
+      pickedUpAt: dispatch && dispatch.pickedUpAt,
+      deliveredAt: dispatch ? dispatch.deliveredAt : reachedAt('delivered')
+    },
+    driver: driver ? { name: driver.name } : null,
+    // La position du livreur n'est partagée que pendant la course
+    location: order.status === 'out_for_delivery' && dispatch && hasPosition(dispatch.location)
+      ? dispatch.location
+      : null,
+    zone: order.delivery && order.delivery.zoneName,
+    estimatedArrival: estimateArrival(order, now)
+  };
+};
+
+// Informe le client de l'avancement de sa livraison, sans jamais faire échouer la requête
+const publishTracking = async (order) => {
+  try {
+    await publish('order.delivery', { user: order.user, payload: await getTracking(order) });
+  } catch (err) {
+    console.error('Erreur lors de la publication du suivi:', err.message);
+  }
+};
+
+// Confie une commande à livrer à un livreur (ou la réattribue avant son départ)
+const assignDriver = async (orderId, driverId, assignedBy) => {
+  const [order, driver] = await Promise.all([loadOrder(orderId), User.findById(driverId)]);
+
+  if (!isDeliveryOrder(order)) {
+    throw deliveryError(400, 'Cette commande n\'est pas à livrer');
+  }
+  if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+    throw deliveryError(409, 'Cette commande ne peut plus être confiée à un livreur');
+  }
+  if (!driver || driver.role !== 'driver') {
+    throw deliveryError(400, 'Ce livreur n\'existe pas');
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ASSIGNABLE_STATUSES } },
+    { $set: { dispatch: { driver: driver._id, assignedBy, assignedAt: new Date() } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw deliveryError(409, 'Le statut de la commande a été modifié entre-temps');
+  }
+
+  publish('delivery.assigned', {
+    user: driver._id,
+    payload: { order: updated._id, deliveryAddress: updated.deliveryAddress, status: updated.status }
+  });
+  publishTracking(updated);
+  return updated;
+};
+
+const unassignDriver = async (orderId) => {
+  const order = await loadOrder(orderId);
+
+  if (!order.dispatch) {
+    throw deliveryError(409, 'Aucun livreur n\'est affecté à cette commande');
+  }
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ASSIGNABLE_STATUSES } },
+    { $unset: { dispatch: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    throw deliveryError(409, 'La commande est déjà partie en livraison');
+  }
+
+  publishTracking(updated);
+  return updated;
+};
+
+// Charge une course du livreur connecté
+const loadRun = async (orderId, driverId) => {
+  const order = await loadOrder(orderId);
+  if (!order.dispatch || String(order.dispatch.driver) !== String(driverId)) {
+    throw deliveryError(403, 'Cette livraison ne vous est pas confiée');
+  }
+  return order;
+};
+
+const markPickedUp = async (orderId, driverId) => {
+  await loadRun(orderId, driverId);
+  const updated = await transitionOrder(orderId, 'out_for_delivery', driverId);
+  publishTracking(updated);
+  return updated;
+};
+
+const markDelivered = async (orderId, driverId) => {
+  const order = await loadRun(orderId, driverId);
+  if (order.status !== 'out_for_delivery') {
+    throw deliveryError(409, 'La commande doit d\'abord être récupérée');
+  }
+  const updated = await transitionOrder(orderId, 'delivered', driverId);
+  publishTracking(updated);
+  return updated;
+};
+
+// Dernière position du livreur, acceptée seulement pendant la course
+const recordLocation = async (orderId, driverId, { lat, lng }) => {
+  await loadRun(orderId, driverId);
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'out_for_delivery' },
+    { $set: { 'dispatch.location': { lat, lng, updatedAt: new Date() } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw deliveryError(409, 'La position n\'est transmise que pendant la livraison');
+  }
+
+  publishTracking(updated);
+  return updated;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  isDeliveryOrder,
+  estimateArrival,
+  getTracking,
+  assignDriver,
+  unassignDriver,
+  markPickedUp,
+  markDelivered,
+  recordLocation
+};
@@ -0,0 +1,104 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const pricingConfig = require('../config/pricing');
+
+// Lancer de rayon : la position [lng, lat] est-elle dans l'anneau ?
+const inRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Dans le contour extérieur et hors des trous
+const inPolygon = (position, [outer, ...holes]) =>
+  inRing(position, outer) && !holes.some(hole => inRing(position, hole));
+
+const inArea = (position, area) => {
+  if (!area || !position) return false;
+  const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+  return polygons.some(polygon => inPolygon(position, polygon));
+};
+
+const hasLocation = (location) => Boolean(location) &&
+  isFinite(parseFloat(location.lat)) && isFinite(parseFloat(location.lng));
+
+// Zone active couvrant une adresse ({ postalCode?, location?: { lat, lng } }),
+// d'après son code postal ou sa position ; null si l'adresse n'est pas desservie.
+const findZone = (address, zones) => {
+  const postalCode = address.postalCode && DeliveryZone.normalizePostalCode(address.postalCode);
+  const position = hasLocation(address.location)
+    ? [parseFloat(address.location.lng), parseFloat(address.location.lat)]
+    : null;
+
+  return zones.find(zone =>
+    (postalCode && zone.postalCodes.includes(postalCode)) || inArea(position, zone.area)
+  ) || null;
+};
+
+const getActiveZones = () => DeliveryZone.find({ active: true }).sort({ priority: -1, fee: 1 });
+
+// Conditions de livraison d'une adresse pour un sous-total donné. Renvoie
+// { delivery } ou { error } (erreur au format des erreurs de tarification).
+// Tant qu'aucune zone n'est définie, toute adresse est livrée au forfait
+// DELIVERY_FEE, comme avant l'introduction des zones.
+const quoteDelivery = async (address, subtotal, at = new Date()) => {
+  const zones = await getActiveZones();
+
+  if (!zones.length) {
+    return { delivery: { fee: pricingConfig.deliveryFee } };
+  }
+
+  const zone = findZone(address, zones);
+  if (!zone) {
+    return {
+      error: {
+        code: 'ADDRESS_NOT_DELIVERABLE',
+        msg: 'Nous ne livrons pas à cette adresse',
+        path: 'deliveryAddress',
+        value: address.postalCode
+      }
+    };
+  }
+
+  if (subtotal !== undefined && subtotal < zone.minimumOrder) {
+    return {
+      error: {
+        code: 'BELOW_MINIMUM_ORDER',
+        msg: `Le minimum de commande pour la zone ${zone.name} est de ${zone.minimumOrder}`,
+        path: 'items',
+        value: zone.minimumOrder
+      }
+    };
+  }
+
+  return {
+    delivery: {
+      zone: zone._id,
+      zoneName: zone.name,
+      fee: zone.fee,
+      estimatedMinutes: zone.estimatedMinutes,
+      estimatedAt: new Date(at.getTime() + zone.estimatedMinutes * 60 * 1000)
+    }
+  };
+};
+
+// Une adresse est renseignée dès que l'un de ses champs l'est (rue, code
+// postal, position...) : la commande est alors une livraison, soumise aux
+// conditions de sa zone
+const hasDeliveryAddress = (address) => Boolean(address && (
+  address.street || address.city || address.postalCode || address.instructions ||
+  (address.location && (address.location.lat != null || address.location.lng != null))
+));
+
+module.exports = {
+  hasDeliveryAddress,
+  inArea,
+  findZone,
+  getActiveZones,
+  quoteDelivery
+};
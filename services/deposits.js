@@ -0,0 +1,110 @@
+const Reservation = require('../models/Reservation');
+const reservationConfig = require('../config/reservations');
+const { roundAmount } = require('./pricing');
+const { refundDeposit } = require('./orderPayments');
+const { publishReservation } = require('./feed');
+const { closeReservationOrder } = require('./reservationOrders');
+
+const { rules, paymentWindowMinutes } = reservationConfig.deposit;
+
+const ruleApplies = (rule, reservation) => {
+  if (rule.minPeople && reservation.numberOfPeople >= rule.minPeople) {
+    return true;
+  }
+  return Boolean(rule.dates && rule.dates.includes(reservation.date));
+};
+
+// Acompte exigé pour une réservation d'après les règles configurées, ou null
+const getDepositRequirement = (reservation) => {
+  if (reservation.type !== 'surPlace') {
+    return null;
+  }
+
+  const matched = rules.filter(rule => ruleApplies(rule, reservation));
+  if (!matched.length) {
+    return null;
+  }
+
+  return {
+    amount: roundAmount(Math.max(...matched.map(rule => rule.amountPerPerson * reservation.numberOfPeople))),
+    reasons: matched.map(rule => rule.name)
+  };
+};
+
+// Met l'acompte d'une réservation en accord avec les règles, à la création ou
+// après une reprogrammation. Un acompte réglé ou levé par le personnel n'est
+// plus recalculé.
+const applyDepositRules = (reservation) => {
+  if (reservation.deposit && reservation.deposit.status !== 'pending') {
+    return;
+  }
+
+  const requirement = getDepositRequirement(reservation);
+
+  if (requirement) {
+    const unchanged = reservation.deposit && reservation.deposit.amount === requirement.amount;
+    reservation.deposit = {
+      ...requirement,
+      status: 'pending',
+      dueAt: unchanged
+        ? reservation.deposit.dueAt
+        : new Date(Date.now() + paymentWindowMinutes * 60 * 1000)
+    };
+    if (['pending', 'confirmed'].includes(reservation.status)) {
+      reservation.status = 'awaiting_deposit';
+    }
+  } else if (reservation.deposit) {
+    reservation.deposit = undefined;
+    if (reservation.status === 'awaiting_deposit') {
+      reservation.status = 'pending';
+    }
+  }
+};
+
+const isDepositDue = (reservation) =>
+  Boolean(reservation.deposit && reservation.deposit.status === 'pending');
+
+// Rembourse l'acompte d'une réservation qui vient d'être annulée ou refusée (et
+// abandonne ses paiements en attente). Renvoie les remboursements effectués.
+const refundCancelledDeposit = async (reservation, { user } = {}) => {
+  if (!['cancelled', 'rejected'].includes(reservation.status) || !reservation.deposit ||
+    !['pending', 'paid'].includes(reservation.deposit.status)) {
+    return [];
+  }
+  return refundDeposit(reservation, {
+    reason: reservation.status === 'rejected' ? 'Réservation refusée' : 'Réservation annulée',
+    user
+  });
+};
+
+// Annule les réservations dont l'acompte n'a pas été réglé dans le délai,
+// ainsi que leurs plats
+const expireUnpaidDeposits = async (now = new Date()) => {
+  const expired = await Reservation.find({
+    status: 'awaiting_deposit',
+    'deposit.status': 'pending',
+    'deposit.dueAt': { $lt: now }
+  });
+
+  for (const reservation of expired) {
+    reservation.status = 'cancelled';
+    await reservation.save();
+    publishReservation('reservation.status', reservation);
+    await closeReservationOrder(reservation).catch(err =>
+      console.error(`Plats de la réservation ${reservation._id} :`, err.message)
+    );
+    await refundCancelledDeposit(reservation).catch(err =>
+      console.error(`Acompte de la réservation ${reservation._id} :`, err.message)
+    );
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  getDepositRequirement,
+  applyDepositRules,
+  isDepositDue,
+  refundCancelledDeposit,
+  expireUnpaidDeposits
+};
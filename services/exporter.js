@@ -0,0 +1,93 @@
+const ExcelJS = require('exceljs');
+const labels = require('../locales/exports');
+const { toCsvRow } = require('./csv');
+
+const FORMATS = ['csv', 'xlsx'];
+const LANGUAGES = Object.keys(labels);
+const DEFAULT_LANGUAGE = 'fr';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Langue des en-têtes : ?lang=, sinon Accept-Language, sinon le français
+const getLanguage = (req) => {
+  if (req.query.lang && LANGUAGES.includes(req.query.lang)) {
+    return req.query.lang;
+  }
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+};
+
+const getColumns = (dataset, keys, language) =>
+  keys.map(key => ({ key, label: labels[language][dataset][key] || key }));
+
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.removeListener('drain', done);
+    res.removeListener('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Écrit le fichier ligne par ligne à partir d'un curseur Mongoose, sans charger
+// toute la collection en mémoire. `toRows` transforme un document en une ou
+// plusieurs lignes (ex : une ligne par article d'une commande).
+const streamExport = async (res, { format, filename, columns, cursor, toRows }) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  });
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const worksheet = workbook.addWorksheet(filename);
+      worksheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: 20 }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getRow(1).commit();
+
+      for await (const doc of cursor) {
+        if (closed) break;
+        toRows(doc).forEach(row => worksheet.addRow(row).commit());
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.write(`\uFEFF${toCsvRow(columns.map(column => column.label))}\n`);
+
+    for await (const doc of cursor) {
+      if (closed) break;
+      for (const row of toRows(doc)) {
+        if (!res.write(`${toCsvRow(columns.map(column => row[column.key]))}\n`)) {
+          await waitForDrain(res);
+        }
+      }
+    }
+
+    res.end();
+  } catch (err) {
+    console.error('Erreur lors de l\'export:', err.message);
+    res.destroy(err);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  FORMATS,
+  LANGUAGES,
+  getLanguage,
+  getColumns,
+  streamExport
+};
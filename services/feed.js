@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events');
+const FeedEvent = require('../models/FeedEvent');
+const { hasPermission } = require('../config/permissions');
+
+const REPLAY_LIMIT = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const isStaff = (user) => hasPermission(user.role, 'orders:read-all');
+
+// Un membre du personnel voit tout le flux, un client uniquement ses propres événements
+const canSee = (event, user) =>
+  isStaff(user) || Boolean(event.user && String(event.user) === String(user.id));
+
+// Enregistre puis diffuse un événement. Une erreur de diffusion ne doit jamais
+// faire échouer la requête qui l'a déclenchée : elle est seulement journalisée.
+const publish = async (type, { user, payload }) => {
+  try {
+    const event = await FeedEvent.create({ type, user, payload });
+    emitter.emit('event', event);
+    return event;
+  } catch (err) {
+    console.error('Erreur lors de la publication de l\'événement:', err.message);
+    return null;
+  }
+};
+
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.removeListener('event', listener);
+};
+
+// Événements manqués depuis le curseur `since` (identifiant du dernier événement reçu)
+const getEventsSince = (since, user) => {
+  const filter = { _id: { $gt: since } };
+  if (!isStaff(user)) {
+    filter.user = user.id;
+  }
+  return FeedEvent.find(filter).sort({ _id: 1 }).limit(REPLAY_LIMIT);
+};
+
+// Ligne de ticket cuisine : plat, quantité et modificateurs choisis
+const toTicketItem = (item) => ({
+  menuItem: item.menuItem && (item.menuItem._id || item.menuItem),
+  name: item.name,
+  quantity: item.quantity,
+  modifiers: (item.options || []).map(option => ({
+    group: option.groupName,
+    name: option.name
+  })),
+  allergenConflicts: item.allergenConflicts || []
+});
+
+const publishOrder = (type, order) => publish(type, {
+  user: order.user && (order.user._id || order.user),
+  payload: {
+    _id: order._id,
+    user: order.user && (order.user._id || order.user),
+    items: order.items.map(toTicketItem),
+    allergies: order.allergies || [],
+    allergyAlert: order.items.some(item => item.allergenConflicts && item.allergenConflicts.length),
+    totalAmount: order.totalAmount,
+    status: order.status,
+    deliveryAddress: order.deliveryAddress,
+    reservation: order.reservation,
+    scheduledFor: order.scheduledFor,
+    createdAt: order.createdAt
+  }
+});
+
+const publishReservation = (type, reservation) => publish(type, {
+  user: reservation.user,
+  payload: reservation.toJSON()
+});
+
+module.exports = {
+  canSee,
+  publish,
+  publishOrder,
+  publishReservation,
+  subscribe,
+  getEventsSince
+};
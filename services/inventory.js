@@ -0,0 +1,173 @@
+const Ingredient = require('../models/Ingredient');
+const StockMovement = require('../models/StockMovement');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const { publish } = require('./feed');
+
+// Les quantités sont arrondies au millième pour éviter les dérives des flottants
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const inventoryError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const toAlert = (ingredient) => ({
+  _id: ingredient._id,
+  name: ingredient.name,
+  unit: ingredient.unit,
+  stock: ingredient.stock,
+  lowStockThreshold: ingredient.lowStockThreshold
+});
+
+// Applique une variation de stock et l'inscrit au journal. Le personnel est
+// alerté lorsque le stock franchit le seuil bas.
+const applyMovement = async (ingredientId, delta, { type, order, user, note }) => {
+  const quantity = roundQuantity(delta);
+  const ingredient = await Ingredient.findByIdAndUpdate(
+    ingredientId,
+    { $inc: { stock: quantity } },
+    { new: true }
+  );
+
+  if (!ingredient) {
+    return null;
+  }
+
+  ingredient.stock = roundQuantity(ingredient.stock);
+  await StockMovement.create({
+    ingredient: ingredient._id,
+    type,
+    quantity,
+    stockAfter: ingredient.stock,
+    order,
+    user,
+    note
+  });
+
+  const before = ingredient.stock - quantity;
+  if (before > ingredient.lowStockThreshold && ingredient.stock <= ingredient.lowStockThreshold) {
+    publish('inventory.low', { payload: toAlert(ingredient) });
+  }
+
+  return ingredient;
+};
+
+// Recalcule la rupture de stock des plats correspondant à `filter` : un plat est
+// épuisé dès qu'un de ses ingrédients ne permet plus d'en préparer une portion.
+const updateSoldOut = async (filter) => {
+  const menuItems = await MenuItem.find(filter).select('name recipe soldOut');
+  const ids = [...new Set(menuItems.flatMap(menuItem => menuItem.recipe.map(line => String(line.ingredient))))];
+  const ingredients = await Ingredient.find({ _id: { $in: ids } }).select('stock active');
+  const byId = new Map(ingredients.map(ingredient => [ingredient.id, ingredient]));
+  const changed = [];
+
+  for (const menuItem of menuItems) {
+    const soldOut = menuItem.recipe.some(line => {
+      const ingredient = byId.get(String(line.ingredient));
+      return !ingredient || !ingredient.active || ingredient.stock < line.quantity;
+    });
+
+    if (soldOut !== menuItem.soldOut) {
+      await MenuItem.updateOne({ _id: menuItem._id }, { $set: { soldOut } });
+      publish('menu.availability', { payload: { _id: menuItem._id, name: menuItem.name, soldOut } });
+      changed.push({ _id: menuItem._id, name: menuItem.name, soldOut });
+    }
+  }
+
+  return changed;
+};
+
+const refreshIngredients = (ingredientIds) =>
+  updateSoldOut({ 'recipe.ingredient': { $in: ingredientIds } });
+
+const refreshMenuItem = (menuItemId) => updateSoldOut({ _id: menuItemId });
+
+// Déduit du stock les ingrédients d'une commande (recettes × quantités).
+// Une commande n'est déduite qu'une fois, même si la transition est rejouée.
+const consumeOrderStock = async (order, userId) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockConsumedAt: { $exists: false } },
+    { $set: { stockConsumedAt: new Date() } }
+  );
+
+  if (!claimed.modifiedCount) {
+    return [];
+  }
+
+  const menuItems = await MenuItem.find({
+    _id: { $in: order.items.map(item => item.menuItem) }
+  }).select('recipe');
+  const recipes = new Map(menuItems.map(menuItem => [menuItem.id, menuItem.recipe]));
+  const needs = new Map();
+
+  order.items.forEach(item => {
+    (recipes.get(String(item.menuItem)) || []).forEach(line => {
+      const key = String(line.ingredient);
+      needs.set(key, (needs.get(key) || 0) + line.quantity * item.quantity);
+    });
+  });
+
+  const ingredients = [];
+  for (const [ingredientId, quantity] of needs) {
+    const ingredient = await applyMovement(ingredientId, -quantity, {
+      type: 'order',
+      order: order._id,
+      user: userId
+    });
+    if (ingredient) ingredients.push(ingredient);
+  }
+
+  await refreshIngredients(ingredients.map(ingredient => ingredient._id));
+  return ingredients;
+};
+
+// Réapprovisionnement d'un ingrédient ; les plats qui redeviennent réalisables
+// sont automatiquement remis en vente
+const restock = async (ingredientId, quantity, { user, note } = {}) => {
+  const ingredient = await applyMovement(ingredientId, quantity, { type: 'restock', user, note });
+
+  if (!ingredient) {
+    throw inventoryError(404, 'Ingrédient non trouvé');
+  }
+
+  await refreshIngredients([ingredient._id]);
+  return ingredient;
+};
+
+// Correction d'inventaire : soit un nouveau niveau de stock compté (`stock`),
+// soit une variation (`quantity`, négative pour une perte)
+const adjustStock = async (ingredientId, { stock, quantity, type = 'adjustment', user, note }) => {
+  let delta = quantity;
+
+  if (stock !== undefined) {
+    const current = await Ingredient.findById(ingredientId).select('stock');
+    if (!current) {
+      throw inventoryError(404, 'Ingrédient non trouvé');
+    }
+    delta = stock - current.stock;
+  }
+
+  const ingredient = await applyMovement(ingredientId, delta, { type, user, note });
+
+  if (!ingredient) {
+    throw inventoryError(404, 'Ingrédient non trouvé');
+  }
+
+  await refreshIngredients([ingredient._id]);
+  return ingredient;
+};
+
+// Ingrédients actifs dont le stock est au niveau du seuil bas ou en dessous
+const getLowStock = () =>
+  Ingredient.find({ active: true, $expr: { $lte: ['$stock', '$lowStockThreshold'] } }).sort({ name: 1 });
+
+module.exports = {
+  consumeOrderStock,
+  restock,
+  adjustStock,
+  refreshIngredients,
+  refreshMenuItem,
+  getLowStock
+};
@@ -0,0 +1,8 @@
+// Transport de développement : les emails sont affichés dans la console
+const createConsoleTransport = () => ({
+  async send({ to, subject, text }) {
+    console.log(`\n--- Email pour ${to} ---\nSujet : ${subject}\n\n${text}\n---------------------\n`);
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,16 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transport de test : chaque email est écrit dans un fichier JSON
+const createFileTransport = ({ dir }) => ({
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+});
+
+module.exports = createFileTransport;
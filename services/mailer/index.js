@@ -0,0 +1,28 @@
+const os = require('os');
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+
+// Un transport expose send({ to, subject, text }). Brancher un vrai service
+// d'envoi (SMTP, API transactionnelle) revient à ajouter une fabrique ici.
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'resto-match-mails')
+  })
+};
+
+const driver = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[driver]) {
+  throw new Error(`Transport email inconnu : ${driver}`);
+}
+
+const transport = transports[driver]();
+
+const sendMail = (message) => transport.send({
+  from: process.env.MAIL_FROM || 'Resto Match <no-reply@resto-match.local>',
+  ...message
+});
+
+module.exports = { sendMail };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const mediaConfig = require('../config/media');
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+const mediaError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Vérifie le contenu réel de l'image puis génère et enregistre ses variantes
+// redimensionnées. Renvoie les URLs publiques de chaque variante.
+const processMenuImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw mediaError('Le fichier n\'est pas une image valide');
+  }
+
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw mediaError('Format d\'image non supporté');
+  }
+
+  const id = crypto.randomBytes(12).toString('hex');
+  const images = {};
+
+  for (const [name, width] of Object.entries(mediaConfig.variants)) {
+    const output = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    images[name] = await storage.save(`menu/${id}-${name}.webp`, output, 'image/webp');
+  }
+
+  return images;
+};
+
+const removeMenuImages = async (images) => {
+  const urls = Object.values(images || {}).filter(Boolean);
+  await Promise.all(urls.map(url => {
+    const key = storage.getKey(url);
+    return key ? storage.remove(key) : null;
+  }));
+};
+
+module.exports = {
+  processMenuImage,
+  removeMenuImages
+};
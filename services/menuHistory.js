@@ -0,0 +1,67 @@
+const { isDeepStrictEqual } = require('util');
+const MenuItemHistory = require('../models/MenuItemHistory');
+
+// Valeurs comparables (identifiants et dates sérialisés comme dans l'API)
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Valeurs des champs suivis, relevées avant une modification
+const snapshot = (menuItem, fields) => {
+  const values = menuItem.toObject({ depopulate: true });
+  return fields.reduce((acc, field) => {
+    acc[field] = normalize(values[field]);
+    return acc;
+  }, {});
+};
+
+// Champs dont la valeur a changé entre `before` (instantané) et l'élément enregistré
+const diff = (before, menuItem, fields) => {
+  const after = snapshot(menuItem, fields);
+  return fields
+    .filter(field => !isDeepStrictEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Inscrit une modification dans l'historique. Comme pour le flux temps réel, un
+// échec d'écriture de l'historique ne fait pas échouer la requête.
+const recordChange = async (menuItem, { action, changes = [], user }) => {
+  if (action === 'update' && !changes.length) {
+    return null;
+  }
+
+  try {
+    return await MenuItemHistory.create({
+      menuItem: menuItem._id,
+      action,
+      version: menuItem.__v,
+      changes,
+      user
+    });
+  } catch (err) {
+    console.error('Erreur lors de l\'enregistrement de l\'historique:', err.message);
+    return null;
+  }
+};
+
+// Évolution du prix d'un élément, du plus ancien au plus récent
+const getPriceHistory = async (menuItemId) => {
+  const entries = await MenuItemHistory.find({ menuItem: menuItemId, 'changes.field': 'price' })
+    .populate('user', 'name')
+    .sort({ createdAt: 1 });
+
+  return entries.map(entry => {
+    const change = entry.changes.find(item => item.field === 'price');
+    return {
+      price: change.to,
+      previousPrice: change.from === undefined ? null : change.from,
+      changedAt: entry.createdAt,
+      changedBy: entry.user
+    };
+  });
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordChange,
+  getPriceHistory
+};
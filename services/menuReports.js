@@ -0,0 +1,192 @@
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const { bucketStage } = require('./analytics');
+const { roundAmount } = require('./pricing');
+
+// Canaux de vente : commandes en ligne et plats commandés avec une réservation
+const CHANNELS = ['order', 'reservation'];
+
+const EXCLUDED_ORDER_STATUSES = ['cancelled'];
+
+// Les plats commandés avec une réservation sont des commandes liées à celle-ci
+const CHANNEL_FILTERS = {
+  order: { reservation: { $exists: false } },
+  reservation: { reservation: { $exists: true } }
+};
+
+// Lignes de vente (un document par plat vendu) pour la période et le canal demandés
+const salesLines = (period, channel) => [
+  {
+    $match: {
+      status: { $nin: EXCLUDED_ORDER_STATUSES },
+      createdAt: { $gte: period.from, $lt: period.to },
+      ...CHANNEL_FILTERS[channel]
+    }
+  },
+  { $unwind: '$items' },
+  {
+    $project: {
+      _id: 0,
+      sale: '$_id',
+      channel: { $cond: [{ $ifNull: ['$reservation', false] }, 'reservation', 'order'] },
+      createdAt: 1,
+      menuItem: '$items.menuItem',
+      quantity: '$items.quantity',
+      revenue: {
+        $ifNull: ['$items.lineTotal', { $multiply: ['$items.price', '$items.quantity'] }]
+      }
+    }
+  }
+];
+
+const aggregateSales = (period, channel, stages) =>
+  Order.aggregate([...salesLines(period, channel), ...stages]);
+
+// Quantités et chiffre d'affaires par plat, du plus vendu au moins vendu.
+// Les plats du menu jamais vendus sur la période apparaissent avec des ventes nulles.
+const getItemSales = async (period, { channel, category } = {}) => {
+  const [rows, menuItems] = await Promise.all([
+    aggregateSales(period, channel, [
+      {
+        $group: {
+          _id: '$menuItem',
+          quantity: { $sum: '$quantity' },
+          revenue: { $sum: '$revenue' },
+          sales: { $addToSet: '$sale' }
+        }
+      },
+      { $project: { quantity: 1, revenue: 1, salesCount: { $size: '$sales' } } }
+    ]),
+    MenuItem.find(category ? { category } : {})
+      .select('name category price available')
+      .populate('category', 'name')
+  ]);
+
+  const rowsById = new Map(rows.map(row => [String(row._id), row]));
+  const totalRevenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+
+  return menuItems
+    .map(menuItem => {
+      const row = rowsById.get(menuItem.id) || { quantity: 0, revenue: 0, salesCount: 0 };
+      return {
+        menuItem: menuItem._id,
+        name: menuItem.name,
+        categoryId: menuItem.category ? menuItem.category._id : null,
+        category: menuItem.category ? menuItem.category.name : null,
+        price: menuItem.price,
+        available: menuItem.available,
+        quantity: row.quantity,
+        revenue: roundAmount(row.revenue),
+        salesCount: row.salesCount,
+        revenueShare: totalRevenue ? roundAmount((row.revenue / totalRevenue) * 100) : 0
+      };
+    })
+    .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue);
+};
+
+// Regroupement par catégorie des ventes par plat (résultat de getItemSales)
+const getCategorySales = (items) => {
+  const categories = new Map();
+
+  items.forEach(item => {
+    const key = String(item.categoryId);
+    const category = categories.get(key) || {
+      categoryId: item.categoryId,
+      category: item.category,
+      quantity: 0,
+      revenue: 0,
+      items: 0
+    };
+    category.quantity += item.quantity;
+    category.revenue = roundAmount(category.revenue + item.revenue);
+    category.items += 1;
+    categories.set(key, category);
+  });
+
+  return [...categories.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
+// Plats commandés ensemble. Le taux d'association d'un plat B avec un plat A est
+// la part des commandes contenant A qui contiennent aussi B.
+const getAttachRates = async (period, { channel, limit = 20 } = {}) => {
+  const baskets = [
+    { $group: { _id: '$sale', items: { $addToSet: '$menuItem' } } }
+  ];
+
+  const [itemCounts, pairs] = await Promise.all([
+    aggregateSales(period, channel, [
+      ...baskets,
+      { $unwind: '$items' },
+      { $group: { _id: '$items', count: { $sum: 1 } } }
+    ]),
+    aggregateSales(period, channel, [
+      ...baskets,
+      { $match: { 'items.1': { $exists: true } } },
+      { $project: { a: '$items', b: '$items' } },
+      { $unwind: '$a' },
+      { $unwind: '$b' },
+      { $match: { $expr: { $lt: ['$a', '$b'] } } },
+      { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ])
+  ]);
+
+  const counts = new Map(itemCounts.map(row => [String(row._id), row.count]));
+  const ids = [...new Set(pairs.flatMap(pair => [pair._id.a, pair._id.b]))];
+  const menuItems = await MenuItem.find({ _id: { $in: ids } }).select('name');
+  const names = new Map(menuItems.map(menuItem => [menuItem.id, menuItem.name]));
+
+  return pairs.map(({ _id, count }) => {
+    const a = String(_id.a);
+    const b = String(_id.b);
+    return {
+      items: [
+        { menuItem: _id.a, name: names.get(a) || null },
+        { menuItem: _id.b, name: names.get(b) || null }
+      ],
+      count,
+      attachRate: {
+        [a]: roundAmount((count / counts.get(a)) * 100),
+        [b]: roundAmount((count / counts.get(b)) * 100)
+      }
+    };
+  });
+};
+
+// Évolution des quantités vendues par plat et par intervalle (heure, jour, semaine, mois)
+const getItemTrends = async (period, { channel, menuItems } = {}) => {
+  const match = menuItems && menuItems.length ? [{ $match: { menuItem: { $in: menuItems } } }] : [];
+
+  const rows = await aggregateSales(period, channel, [
+    ...match,
+    {
+      $group: {
+        _id: { bucket: bucketStage(period), menuItem: '$menuItem' },
+        quantity: { $sum: '$quantity' },
+        revenue: { $sum: '$revenue' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]);
+
+  const ids = [...new Set(rows.map(row => String(row._id.menuItem)))];
+  const found = await MenuItem.find({ _id: { $in: ids } }).select('name');
+  const names = new Map(found.map(menuItem => [menuItem.id, menuItem.name]));
+
+  return rows.map(row => ({
+    bucket: row._id.bucket,
+    menuItem: row._id.menuItem,
+    name: names.get(String(row._id.menuItem)) || null,
+    quantity: row.quantity,
+    revenue: roundAmount(row.revenue)
+  }));
+};
+
+module.exports = {
+  CHANNELS,
+  getItemSales,
+  getCategorySales,
+  getAttachRates,
+  getItemTrends
+};
@@ -0,0 +1,101 @@
+const Menu = require('../models/Menu');
+const restaurantConfig = require('../config/restaurant');
+
+// Date, jour de la semaine et heure locale du restaurant à l'instant `at`
+const getLocalTime = (at = new Date(), timezone = restaurantConfig.timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(at).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// Vrai si l'horaire (saison et plages) couvre l'instant local `local`.
+// Un élément sans horaire est toujours proposé.
+const isScheduledAt = (schedule, local) => {
+  if (!schedule) return true;
+  if (schedule.startDate && local.date < schedule.startDate) return false;
+  if (schedule.endDate && local.date > schedule.endDate) return false;
+  if (!schedule.windows || !schedule.windows.length) return true;
+
+  return schedule.windows.some(window =>
+    window.days.includes(local.day) && window.open <= local.time && local.time < window.close
+  );
+};
+
+// Même règle qu'isScheduledAt, exprimée en conditions Mongo sur le champ `path`
+const scheduleConditions = (local, path = 'schedule') => [
+  { [`${path}.startDate`]: { $not: { $gt: local.date } } },
+  { [`${path}.endDate`]: { $not: { $lt: local.date } } },
+  {
+    $or: [
+      { [`${path}.windows.0`]: { $exists: false } },
+      {
+        [`${path}.windows`]: {
+          $elemMatch: { days: local.day, open: { $lte: local.time }, close: { $gt: local.time } }
+        }
+      }
+    ]
+  }
+];
+
+// Cartes nommées actives à l'instant local, de la plus prioritaire à la moins prioritaire
+const getActiveMenus = (local) =>
+  Menu.find({ active: true, $and: scheduleConditions(local) }).sort({ priority: -1, createdAt: 1 });
+
+// Prix applicables par plat d'après les cartes actives : la première carte
+// (la plus prioritaire) qui fixe un prix pour un plat l'emporte
+const getMenuPrices = (menus) => {
+  const prices = new Map();
+
+  menus.forEach(menu => {
+    menu.items.forEach(entry => {
+      const key = String(entry.menuItem);
+      if (entry.price !== undefined && entry.price !== null && !prices.has(key)) {
+        prices.set(key, { price: entry.price, menu: { _id: menu._id, name: menu.name } });
+      }
+    });
+  });
+
+  return prices;
+};
+
+// Prix de base effectif d'un plat (prix de la carte active, sinon prix du plat)
+const getEffectivePrice = (menuItem, prices) => {
+  const override = prices.get(String(menuItem._id));
+  return override ? override.price : menuItem.price;
+};
+
+// Représentation publique d'un plat avec son prix effectif et la carte qui le fixe
+const withMenuPrice = (menuItem, prices) => {
+  const override = prices.get(String(menuItem._id));
+  return {
+    ...menuItem.toJSON(),
+    effectivePrice: override ? override.price : menuItem.price,
+    menu: override ? override.menu : null
+  };
+};
+
+module.exports = {
+  getLocalTime,
+  isScheduledAt,
+  scheduleConditions,
+  getActiveMenus,
+  getMenuPrices,
+  getEffectivePrice,
+  withMenuPrice
+};
@@ -0,0 +1,98 @@
+const Reservation = require('../models/Reservation');
+const reservationConfig = require('../config/reservations');
+const { syncTables } = require('./availability');
+const { publishReservation } = require('./feed');
+const { closeReservationOrder } = require('./reservationOrders');
+
+// Date du jour (AAAA-MM-JJ) dans le fuseau du serveur, comme Reservation#getSlotDate
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// À appeler avant d'enregistrer un changement de statut : un no-show conserve
+// l'acompte versé, une réservation qui quitte ce statut (client arrivé en retard,
+// erreur du personnel) le retrouve.
+const applyNoShowStatus = (reservation) => {
+  const deposit = reservation.deposit;
+
+  if (reservation.status === 'no_show') {
+    reservation.noShowAt = reservation.noShowAt || new Date();
+    if (deposit && deposit.status === 'paid') {
+      deposit.status = 'forfeited';
+    }
+  } else if (reservation.noShowAt) {
+    reservation.noShowAt = undefined;
+    if (deposit && deposit.status === 'forfeited') {
+      deposit.status = 'paid';
+    }
+  }
+};
+
+// Marque « no_show » les réservations sur place confirmées dont le client n'est
+// pas arrivé à l'issue du délai de grâce ; leurs tables sont libérées et leurs
+// plats annulés.
+const markNoShows = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - reservationConfig.noShowGraceMinutes * 60 * 1000);
+  const candidates = await Reservation.find({
+    type: 'surPlace',
+    status: 'confirmed',
+    checkedInAt: { $exists: false },
+    date: { $lte: toDateString(cutoff) }
+  });
+
+  let marked = 0;
+  for (const reservation of candidates) {
+    if (reservation.getSlotDate() > cutoff) {
+      continue;
+    }
+
+    reservation.status = 'no_show';
+    applyNoShowStatus(reservation);
+    await syncTables(reservation);
+    await reservation.save();
+    publishReservation('reservation.status', reservation);
+    await closeReservationOrder(reservation).catch(err =>
+      console.error(`Plats de la réservation ${reservation._id} :`, err.message)
+    );
+    marked += 1;
+  }
+
+  return marked;
+};
+
+// Nombre de no-shows de chaque client des réservations données, reconnu par
+// son compte ou, pour les réservations sans compte, par son email. Renvoie une
+// Map indexée par identifiant de réservation.
+const countNoShows = async (reservations) => {
+  const counts = new Map();
+  if (!reservations.length) {
+    return counts;
+  }
+
+  const users = reservations.filter(reservation => reservation.user).map(reservation => reservation.user);
+  const emails = [...new Set(reservations.map(reservation => reservation.email.toLowerCase()))];
+
+  const noShows = await Reservation.aggregate([
+    { $match: { status: 'no_show' } },
+    { $project: { user: 1, email: { $toLower: '$email' } } },
+    { $match: { $or: [{ user: { $in: users } }, { email: { $in: emails } }] } }
+  ]);
+
+  reservations.forEach(reservation => {
+    const user = reservation.user && String(reservation.user);
+    const email = reservation.email.toLowerCase();
+    counts.set(String(reservation._id), noShows.filter(noShow =>
+      (user && String(noShow.user) === user) || noShow.email === email
+    ).length);
+  });
+
+  return counts;
+};
+
+module.exports = {
+  applyNoShowStatus,
+  markNoShows,
+  countNoShows
+};
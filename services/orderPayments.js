@@ -0,0 +1,391 @@
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentsConfig = require('../config/payments');
+const { getProvider, isEnabled } = require('./payments');
+const { paymentError } = require('./payments/helpers');
+const { roundAmount } = require('./pricing');
+const { publish, publishReservation } = require('./feed');
+
+const publishPayment = (type, payment) => publish(type, {
+  user: payment.user,
+  payload: {
+    _id: payment._id,
+    order: payment.order,
+    reservation: payment.reservation,
+    provider: payment.provider,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    refundedAmount: payment.refundedAmount
+  }
+});
+
+// Montant encore remboursable (hors remboursements en cours)
+const getRefundableAmount = (payment) => roundAmount(
+  payment.amount - payment.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0)
+);
+
+// Statut de paiement de la commande d'après ses paiements
+const syncOrderPaymentStatus = async (orderId) => {
+  const payments = await Payment.find({ order: orderId });
+  const succeeded = payments.filter(payment => payment.status === 'succeeded');
+  let paymentStatus = 'pending';
+
+  if (succeeded.length) {
+    const paid = succeeded.reduce((sum, payment) => sum + payment.amount, 0);
+    const refunded = succeeded.reduce((sum, payment) => sum + payment.refundedAmount, 0);
+    paymentStatus = refunded > 0 && roundAmount(refunded) >= roundAmount(paid) ? 'refunded' : 'paid';
+  } else if (payments.length && payments.every(payment => ['failed', 'cancelled'].includes(payment.status))) {
+    paymentStatus = payments.some(payment => payment.status === 'failed') ? 'failed' : 'pending';
+  }
+
+  await Order.updateOne({ _id: orderId }, { $set: { paymentStatus } });
+  return paymentStatus;
+};
+
+// Statut de l'acompte d'une réservation d'après ses paiements. Un acompte réglé
+// fait passer la réservation « awaiting_deposit » en attente de validation.
+const syncReservationDeposit = async (reservationId) => {
+  const [reservation, succeeded] = await Promise.all([
+    Reservation.findById(reservationId),
+    Payment.find({ reservation: reservationId, status: 'succeeded' })
+  ]);
+
+  if (!reservation || !reservation.deposit || !succeeded.length) {
+    return reservation;
+  }
+
+  const paid = succeeded.reduce((sum, payment) => sum + payment.amount, 0);
+  const refunded = succeeded.reduce((sum, payment) => sum + payment.refundedAmount, 0);
+
+  if (refunded > 0 && roundAmount(refunded) >= roundAmount(paid)) {
+    reservation.deposit.status = 'refunded';
+  } else if (reservation.deposit.status === 'pending') {
+    reservation.deposit.status = 'paid';
+    reservation.deposit.paidAt = succeeded[0].paidAt;
+    if (reservation.status === 'awaiting_deposit') {
+      reservation.status = 'pending';
+    }
+  }
+
+  if (reservation.isModified()) {
+    const statusChanged = reservation.isModified('status');
+    await reservation.save();
+    publishReservation(statusChanged ? 'reservation.status' : 'reservation.updated', reservation);
+  }
+  return reservation;
+};
+
+const syncPaymentTarget = (payment) => (payment.reservation
+  ? syncReservationDeposit(payment.reservation)
+  : syncOrderPaymentStatus(payment.order));
+
+// Annule (localement et, si possible, chez le prestataire) les paiements en
+// attente d'une commande ou d'une réservation ({ order } ou { reservation })
+const cancelPendingPayments = async (target, { except } = {}) => {
+  const pending = await Payment.find({ ...target, status: 'pending', _id: { $ne: except } });
+
+  for (const payment of pending) {
+    const provider = getProvider(payment.provider);
+    try {
+      if (provider.cancelPayment && payment.providerRef) {
+        await provider.cancelPayment({ payment });
+      }
+    } catch (err) {
+      console.error(`Impossible d'annuler le paiement ${payment._id}:`, err.message);
+    }
+    await Payment.updateOne({ _id: payment._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+  }
+};
+
+const openPaymentIntent = async ({ target, user, provider: providerName, amount, order, details }) => {
+  // Un nouvel essai avec le même moyen de paiement reprend l'intention en attente
+  const existing = await Payment.findOne({
+    ...target,
+    provider: providerName,
+    status: 'pending',
+    amount
+  }).select('+clientSecret');
+
+  if (existing) {
+    return existing;
+  }
+
+  const payment = new Payment({
+    ...target,
+    user,
+    provider: providerName,
+    amount,
+    currency: paymentsConfig.currency
+  });
+
+  const result = await getProvider(providerName).createPayment({ payment, order, details });
+  payment.providerRef = result.providerRef;
+  payment.clientSecret = result.clientSecret;
+  payment.nextAction = result.nextAction;
+  await payment.save();
+
+  // Un seul paiement en attente par commande ou réservation : les précédents sont abandonnés
+  await cancelPendingPayments(target, { except: payment._id });
+  return payment;
+};
+
+// Crée (ou reprend) l'intention de paiement d'une commande auprès d'un prestataire
+const createPaymentIntent = async ({ order, user, provider, details }) => {
+  if (!isEnabled(provider)) {
+    throw paymentError(400, 'Ce moyen de paiement n\'est pas disponible');
+  }
+  if (order.status === 'cancelled') {
+    throw paymentError(409, 'La commande est annulée');
+  }
+  if (['paid', 'refunded'].includes(order.paymentStatus)) {
+    throw paymentError(409, 'La commande est déjà réglée');
+  }
+
+  return openPaymentIntent({
+    target: { order: order._id },
+    user,
+    provider,
+    amount: order.totalAmount,
+    order,
+    details
+  });
+};
+
+// Crée (ou reprend) l'intention de paiement de l'acompte d'une réservation
+const createDepositIntent = async ({ reservation, provider, details }) => {
+  if (!isEnabled(provider)) {
+    throw paymentError(400, 'Ce moyen de paiement n\'est pas disponible');
+  }
+  if (reservation.status !== 'awaiting_deposit' || !reservation.deposit ||
+    reservation.deposit.status !== 'pending') {
+    throw paymentError(409, 'Aucun acompte n\'est attendu pour cette réservation');
+  }
+  if (reservation.deposit.dueAt && reservation.deposit.dueAt < new Date()) {
+    throw paymentError(409, 'Le délai de paiement de l\'acompte est dépassé');
+  }
+
+  return openPaymentIntent({
+    target: { reservation: reservation._id },
+    user: reservation.user,
+    provider,
+    amount: reservation.deposit.amount,
+    details
+  });
+};
+
+const completeRefund = (payment, refund, status, failureReason) => {
+  refund.status = status;
+  refund.completedAt = new Date();
+  if (status === 'succeeded') {
+    payment.refundedAmount = roundAmount(payment.refundedAmount + refund.amount);
+  } else {
+    refund.failureReason = failureReason;
+  }
+};
+
+// Rembourse tout ou partie d'un paiement abouti
+const refundPayment = async (payment, { amount, reason, user } = {}) => {
+  if (payment.status !== 'succeeded') {
+    throw paymentError(409, 'Seul un paiement abouti peut être remboursé');
+  }
+
+  const refundable = getRefundableAmount(payment);
+  const refundAmount = amount === undefined ? refundable : roundAmount(amount);
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw paymentError(400, `Montant de remboursement invalide (maximum : ${refundable})`);
+  }
+
+  payment.refunds.push({ amount: refundAmount, reason, requestedBy: user });
+  await payment.save();
+  const refund = payment.refunds[payment.refunds.length - 1];
+
+  try {
+    const result = await getProvider(payment.provider).refund({ payment, refund });
+    refund.providerRef = result.providerRef;
+    if (result.status !== 'pending') {
+      completeRefund(payment, refund, result.status);
+    }
+  } catch (err) {
+    completeRefund(payment, refund, 'failed', err.message);
+    await payment.save();
+    throw err;
+  }
+
+  await payment.save();
+  await syncPaymentTarget(payment);
+  publishPayment('payment.refund', payment);
+  return refund;
+};
+
+// Paiements aboutis remboursés, paiements en attente abandonnés
+const refundPayments = async (target, { reason, user } = {}) => {
+  await cancelPendingPayments(target);
+
+  const payments = await Payment.find({ ...target, status: 'succeeded' });
+  const refunds = [];
+
+  for (const payment of payments) {
+    if (getRefundableAmount(payment) > 0) {
+      const refund = await refundPayment(payment, { reason, user });
+      refunds.push({ payment: payment._id, provider: payment.provider, amount: refund.amount, status: refund.status });
+    }
+  }
+
+  return refunds;
+};
+
+// Rembourse une commande annulée
+const refundOrder = (order, options) => refundPayments({ order: order._id }, options);
+
+// Rembourse l'acompte d'une réservation annulée ou refusée
+const refundDeposit = (reservation, options) => refundPayments({ reservation: reservation._id }, options);
+
+// Une commande annulée ou une réservation annulée, refusée ou expirée entre-temps
+const isTargetClosed = async (payment) => {
+  if (payment.reservation) {
+    const reservation = await Reservation.findById(payment.reservation).select('status');
+    return Boolean(reservation && ['cancelled', 'rejected'].includes(reservation.status));
+  }
+  const order = await Order.findById(payment.order).select('status');
+  return Boolean(order && order.status === 'cancelled');
+};
+
+// Paiement reçu pour une commande ou une réservation annulée entre-temps : il
+// est remboursé aussitôt, sauf s'il l'est déjà
+const refundIfTargetClosed = async (payment) => {
+  if (getRefundableAmount(payment) > 0 && await isTargetClosed(payment)) {
+    await refundPayment(payment, { reason: 'Annulation avant la réception du paiement' });
+  }
+};
+
+const markSucceeded = async (payment) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $ne: 'succeeded' } },
+    { $set: { status: 'succeeded', paidAt: new Date() }, $unset: { failureReason: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Déjà abouti : un webhook renvoyé après l'échec du remboursement
+    // automatique relance celui-ci
+    const current = await Payment.findById(payment._id);
+    if (current && current.status === 'succeeded') {
+      await refundIfTargetClosed(current);
+    }
+    return current || payment;
+  }
+
+  await syncPaymentTarget(updated);
+  publishPayment('payment.succeeded', updated);
+  await refundIfTargetClosed(updated);
+
+  return updated;
+};
+
+const markFailed = async (payment, failureReason) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'failed', failureReason } },
+    { new: true }
+  );
+
+  if (updated) {
+    await syncPaymentTarget(updated);
+    publishPayment('payment.failed', updated);
+  }
+  return updated || payment;
+};
+
+// Encaissement confirmé par le personnel (espèces)
+const capturePayment = async (payment) => {
+  if (!getProvider(payment.provider).capturable) {
+    throw paymentError(400, 'Ce paiement est confirmé par le prestataire, pas par le personnel');
+  }
+  if (payment.status !== 'pending') {
+    throw paymentError(409, 'Ce paiement n\'est plus en attente');
+  }
+  return markSucceeded(payment);
+};
+
+const applyWebhookEvent = async (providerName, event) => {
+  if (event.type === 'payment.succeeded' || event.type === 'payment.failed') {
+    const payment = await Payment.findOne({ provider: providerName, providerRef: event.providerRef });
+    if (!payment) {
+      throw paymentError(404, 'Paiement introuvable');
+    }
+    return event.type === 'payment.succeeded'
+      ? markSucceeded(payment)
+      : markFailed(payment, event.failureReason);
+  }
+
+  const payment = await Payment.findOne({ provider: providerName, 'refunds.providerRef': event.refundRef });
+  const refund = payment && payment.refunds.find(item => item.providerRef === event.refundRef);
+  if (!refund) {
+    throw paymentError(404, 'Remboursement introuvable');
+  }
+
+  if (refund.status === 'pending') {
+    completeRefund(payment, refund, event.type === 'refund.succeeded' ? 'succeeded' : 'failed', event.failureReason);
+    await payment.save();
+    await syncPaymentTarget(payment);
+    publishPayment('payment.refund', payment);
+  }
+  return payment;
+};
+
+// Traite un webhook signé. Chaque événement n'est appliqué qu'une fois : un
+// événement déjà reçu est acquitté sans effet. Si le traitement échoue,
+// l'événement est oublié pour que le prestataire puisse le renvoyer.
+const handleWebhook = async (providerName, { rawBody, headers, body }) => {
+  const provider = isEnabled(providerName) && getProvider(providerName);
+
+  if (!provider) {
+    throw paymentError(404, 'Moyen de paiement inconnu');
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw paymentError(400, 'Signature du webhook invalide');
+  }
+
+  const event = provider.parseWebhook(body);
+  if (!event) {
+    return { received: true, ignored: true };
+  }
+  if (!event.id) {
+    throw paymentError(400, 'Identifiant d\'événement manquant');
+  }
+
+  try {
+    await WebhookEvent.create({ provider: providerName, eventId: event.id, type: event.type });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { received: true, duplicate: true };
+    }
+    throw err;
+  }
+
+  try {
+    await applyWebhookEvent(providerName, event);
+  } catch (err) {
+    await WebhookEvent.deleteOne({ provider: providerName, eventId: event.id });
+    throw err;
+  }
+
+  return { received: true };
+};
+
+module.exports = {
+  createPaymentIntent,
+  createDepositIntent,
+  capturePayment,
+  refundPayment,
+  refundOrder,
+  refundDeposit,
+  handleWebhook,
+  getRefundableAmount
+};
@@ -0,0 +1,90 @@
+const Order = require('../models/Order');
+const { publishOrder } = require('./feed');
+const { consumeOrderStock } = require('./inventory');
+
+// Transitions autorisées pour chaque statut de commande.
+// L'annulation n'est possible qu'avant que la commande soit prête. Une commande
+// à livrer passe par « out_for_delivery » quand le livreur la récupère.
+const TRANSITIONS = {
+  pending: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'delivered'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const statusError = (status, message, extra = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Fait passer une commande à un nouveau statut en enregistrant l'historique.
+// La mise à jour est conditionnée au statut lu pour éviter qu'une modification
+// concurrente ne soit écrasée.
+const transitionOrder = async (orderId, to, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw statusError(404, 'Commande non trouvée');
+  }
+
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    throw statusError(409, `Transition de statut impossible : ${from} → ${to}`, {
+      from,
+      to,
+      allowed: TRANSITIONS[from] || []
+    });
+  }
+
+  // Le départ en livraison et la remise au client sont horodatés sur la course
+  const set = { status: to };
+  if (to === 'out_for_delivery') {
+    if (!order.dispatch) {
+      throw statusError(409, 'Aucun livreur n\'est affecté à cette commande', { from, to });
+    }
+    set['dispatch.pickedUpAt'] = new Date();
+  }
+  if (to === 'delivered' && order.dispatch) {
+    set['dispatch.deliveredAt'] = new Date();
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: set,
+      $push: { statusHistory: { from, to, changedBy: userId, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw statusError(409, 'Le statut de la commande a été modifié entre-temps');
+  }
+
+  publishOrder('order.status', updated);
+
+  // Les ingrédients sont déduits quand la cuisine commence la préparation.
+  // Un échec d'inventaire ne doit pas bloquer le service : il est journalisé.
+  if (to === 'preparing') {
+    try {
+      await consumeOrderStock(updated, userId);
+    } catch (err) {
+      console.error('Erreur lors de la mise à jour du stock:', err.message);
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transitionOrder
+};
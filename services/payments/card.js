@@ -0,0 +1,123 @@
+const { sign, safeEqual } = require('./signature');
+const { paymentError, toMinorUnits } = require('./helpers');
+
+// Paiement par carte via une API de type Stripe (PaymentIntents) : le serveur crée
+// l'intention de paiement, le client la confirme avec le clientSecret, et le
+// résultat arrive par webhook signé (en-tête Stripe-Signature : t=...,v1=...).
+const createCardProvider = ({ apiUrl, secretKey, webhookSecret, tolerance }) => {
+  const request = async (path, params = {}, { idempotencyKey } = {}) => {
+    if (!secretKey) {
+      throw paymentError(503, 'Le paiement par carte n\'est pas configuré');
+    }
+
+    const headers = {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    const response = await fetch(`${apiUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams(params)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw paymentError(502, (data.error && data.error.message) || 'Erreur du prestataire de paiement');
+    }
+    return data;
+  };
+
+  const refundStatus = (status) => {
+    if (status === 'succeeded') return 'succeeded';
+    if (status === 'failed' || status === 'canceled') return 'failed';
+    return 'pending';
+  };
+
+  return {
+    name: 'card',
+
+    async createPayment({ payment }) {
+      const intent = await request('/payment_intents', {
+        amount: toMinorUnits(payment.amount, payment.currency),
+        currency: payment.currency.toLowerCase(),
+        'automatic_payment_methods[enabled]': 'true',
+        'metadata[payment]': String(payment._id),
+        ...(payment.order
+          ? { 'metadata[order]': String(payment.order) }
+          : { 'metadata[reservation]': String(payment.reservation) })
+      }, { idempotencyKey: `payment-${payment._id}` });
+
+      return {
+        providerRef: intent.id,
+        status: 'pending',
+        clientSecret: intent.client_secret
+      };
+    },
+
+    async cancelPayment({ payment }) {
+      await request(`/payment_intents/${payment.providerRef}/cancel`);
+    },
+
+    async refund({ payment, refund }) {
+      const result = await request('/refunds', {
+        payment_intent: payment.providerRef,
+        amount: toMinorUnits(refund.amount, payment.currency),
+        'metadata[refund]': String(refund._id)
+      }, { idempotencyKey: `refund-${refund._id}` });
+
+      return { providerRef: result.id, status: refundStatus(result.status) };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const header = headers['stripe-signature'];
+      if (!webhookSecret || !header || !rawBody) return false;
+
+      const parts = header.split(',').map(part => part.split('='));
+      const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+        return false;
+      }
+
+      const expected = sign(webhookSecret, `${timestamp}.${rawBody}`);
+      return signatures.some(signature => safeEqual(signature, expected));
+    },
+
+    parseWebhook(event) {
+      const object = event.data && event.data.object;
+      if (!object) return null;
+
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          return { id: event.id, type: 'payment.succeeded', providerRef: object.id };
+        case 'payment_intent.payment_failed':
+          return {
+            id: event.id,
+            type: 'payment.failed',
+            providerRef: object.id,
+            failureReason: object.last_payment_error && object.last_payment_error.message
+          };
+        case 'refund.updated': {
+          const status = refundStatus(object.status);
+          if (status === 'pending') return null;
+          return {
+            id: event.id,
+            type: status === 'succeeded' ? 'refund.succeeded' : 'refund.failed',
+            providerRef: object.payment_intent,
+            refundRef: object.id,
+            failureReason: object.failure_reason
+          };
+        }
+        default:
+          return null;
+      }
+    }
+  };
+};
+
+module.exports = createCardProvider;
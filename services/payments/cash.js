@@ -0,0 +1,33 @@
+// Paiement en espèces à la livraison ou au comptoir : aucun prestataire externe,
+// l'encaissement est confirmé par le personnel (POST /api/payments/:id/capture)
+// et un remboursement est rendu immédiatement en caisse.
+const createCashProvider = () => ({
+  name: 'cash',
+
+  async createPayment({ payment }) {
+    return {
+      providerRef: `cash_${payment._id}`,
+      status: 'pending',
+      nextAction: {
+        type: 'pay_on_delivery',
+        message: 'Le paiement sera encaissé à la livraison ou au comptoir'
+      }
+    };
+  },
+
+  async refund({ refund }) {
+    return { providerRef: `cash_refund_${refund._id}`, status: 'succeeded' };
+  },
+
+  capturable: true,
+
+  verifyWebhook() {
+    return false;
+  },
+
+  parseWebhook() {
+    return null;
+  }
+});
+
+module.exports = createCashProvider;
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { sign, safeEqual } = require('./signature');
+
+// Prestataire factice pour le développement et les tests : aucune requête
+// externe, les remboursements aboutissent immédiatement et les webhooks sont
+// signés avec FAKE_PAYMENT_WEBHOOK_SECRET (en-tête X-Fake-Signature). Sans
+// secret configuré, aucun webhook n'est accepté.
+// Corps attendu : { id, type, providerRef, refundRef, failureReason }.
+const createFakeProvider = ({ webhookSecret }) => ({
+  name: 'fake',
+
+  async createPayment() {
+    const ref = crypto.randomBytes(12).toString('hex');
+    return {
+      providerRef: `fake_${ref}`,
+      status: 'pending',
+      clientSecret: `fake_${ref}_secret`
+    };
+  },
+
+  async cancelPayment() {},
+
+  async refund({ refund }) {
+    return { providerRef: `fake_refund_${refund._id}`, status: 'succeeded' };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-fake-signature'];
+    if (!webhookSecret || !signature || !rawBody) return false;
+    return safeEqual(signature, sign(webhookSecret, rawBody));
+  },
+
+  parseWebhook(event) {
+    if (!['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'].includes(event.type)) {
+      return null;
+    }
+    return {
+      id: event.id,
+      type: event.type,
+      providerRef: event.providerRef,
+      refundRef: event.refundRef,
+      failureReason: event.failureReason
+    };
+  }
+});
+
+module.exports = createFakeProvider;
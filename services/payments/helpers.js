@@ -0,0 +1,18 @@
+// Erreur renvoyée au client par les routes de paiement (err.status)
+const paymentError = (status, message, extra = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Devises sans sous-unité : le montant est transmis tel quel aux prestataires
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100);
+
+module.exports = {
+  paymentError,
+  toMinorUnits
+};
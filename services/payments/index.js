@@ -0,0 +1,43 @@
+const paymentsConfig = require('../../config/payments');
+const createCardProvider = require('./card');
+const createMobileMoneyProvider = require('./mobileMoney');
+const createCashProvider = require('./cash');
+const createFakeProvider = require('./fake');
+
+// Un prestataire de paiement expose :
+//   createPayment({ payment, order?, details }) -> { providerRef, status, clientSecret?, nextAction? }
+//   refund({ payment, refund }) -> { providerRef, status: pending|succeeded|failed }
+//   cancelPayment({ payment }) (facultatif)
+//   verifyWebhook(rawBody, headers) -> booléen
+//   parseWebhook(body) -> { id, type, providerRef, refundRef?, failureReason? } ou null
+// Ajouter un moyen de paiement revient à enregistrer ici une nouvelle fabrique.
+const adapters = {
+  card: () => createCardProvider({ ...paymentsConfig.card, tolerance: paymentsConfig.webhookTolerance }),
+  mobile_money: () => createMobileMoneyProvider(paymentsConfig.mobileMoney),
+  cash: () => createCashProvider(),
+  fake: () => createFakeProvider(paymentsConfig.fake)
+};
+
+const PROVIDERS = Object.keys(adapters);
+
+paymentsConfig.providers.forEach(name => {
+  if (!adapters[name]) {
+    throw new Error(`Moyen de paiement inconnu : ${name}`);
+  }
+});
+
+// Tous les prestataires sont instanciés : un moyen de paiement désactivé ne sert
+// plus aux nouveaux paiements ni aux webhooks, mais ses paiements passés restent
+// remboursables.
+const instances = new Map(PROVIDERS.map(name => [name, adapters[name]()]));
+
+const getProvider = (name) => instances.get(name) || null;
+
+const isEnabled = (name) => paymentsConfig.providers.includes(name);
+
+module.exports = {
+  PROVIDERS,
+  enabledProviders: paymentsConfig.providers,
+  getProvider,
+  isEnabled
+};
@@ -0,0 +1,87 @@
+const { sign, safeEqual } = require('./signature');
+const { paymentError } = require('./helpers');
+
+// Paiement par mobile money via un agrégateur (Orange Money, MTN MoMo...) : le
+// client valide le paiement sur son téléphone, le résultat arrive par webhook
+// signé (en-tête X-Signature : HMAC-SHA256 du corps).
+const createMobileMoneyProvider = ({ apiUrl, apiKey, webhookSecret }) => {
+  const request = async (path, body) => {
+    if (!apiUrl || !apiKey) {
+      throw paymentError(503, 'Le paiement par mobile money n\'est pas configuré');
+    }
+
+    const response = await fetch(`${apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw paymentError(502, data.message || 'Erreur du prestataire de paiement');
+    }
+    return data;
+  };
+
+  return {
+    name: 'mobile_money',
+
+    async createPayment({ payment, details = {} }) {
+      if (!details.phoneNumber) {
+        throw paymentError(400, 'Le numéro de téléphone est requis pour le paiement mobile');
+      }
+
+      const transaction = await request('/payments', {
+        reference: String(payment._id),
+        amount: payment.amount,
+        currency: payment.currency,
+        phoneNumber: details.phoneNumber
+      });
+
+      return {
+        providerRef: transaction.id,
+        status: 'pending',
+        nextAction: {
+          type: 'confirm_on_phone',
+          message: 'Validez le paiement sur votre téléphone'
+        }
+      };
+    },
+
+    async refund({ payment, refund }) {
+      const result = await request('/refunds', {
+        reference: String(refund._id),
+        transactionId: payment.providerRef,
+        amount: refund.amount
+      });
+
+      return { providerRef: result.id, status: 'pending' };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const signature = headers['x-signature'];
+      if (!webhookSecret || !signature || !rawBody) return false;
+      return safeEqual(signature, sign(webhookSecret, rawBody));
+    },
+
+    parseWebhook(event) {
+      const data = event.data || {};
+      if (!['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'].includes(event.event)) {
+        return null;
+      }
+
+      return {
+        id: event.id,
+        type: event.event,
+        providerRef: data.transactionId,
+        refundRef: data.refundId,
+        failureReason: data.reason
+      };
+    }
+  };
+};
+
+module.exports = createMobileMoneyProvider;
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Signature HMAC-SHA256 (hexadécimale) d'un corps de webhook
+const sign = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Comparaison à temps constant pour ne pas révéler la signature attendue
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = { sign, safeEqual };
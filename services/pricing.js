@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const pricingConfig = require('../config/pricing');
+const {
+  getLocalTime,
+  isScheduledAt,
+  getActiveMenus,
+  getMenuPrices,
+  getEffectivePrice
+} = require('./menuSchedule');
+const { hasDeliveryAddress, quoteDelivery } = require('./deliveryZones');
+
+// Arrondi monétaire à deux décimales
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Erreur de tarification renvoyée au client avec le détail des lignes rejetées
+const pricingError = (errors) => {
+  const err = new Error('Commande invalide');
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+// Valide les options choisies pour un plat (identifiants d'options) au regard de
+// ses groupes d'options, et renvoie leur copie figée. Les erreurs sont ajoutées à `errors`.
+const resolveOptions = (menuItem, selected = [], index, errors) => {
+  const path = `items[${index}].options`;
+  const optionIndex = new Map();
+
+  menuItem.optionGroups.forEach(group => {
+    group.options.forEach(option => optionIndex.set(option.id, { group, option }));
+  });
+
+  const chosen = [];
+  const countByGroup = new Map();
+  let valid = true;
+
+  [...new Set(selected.map(String))].forEach(id => {
+    const match = optionIndex.get(id);
+
+    if (!match) {
+      valid = false;
+      errors.push({
+        code: 'INVALID_OPTION',
+        msg: `Cette option n'existe pas pour ${menuItem.name}`,
+        path,
+        value: id
+      });
+      return;
+    }
+
+    if (!match.option.available) {
+      valid = false;
+      errors.push({
+        code: 'OPTION_UNAVAILABLE',
+        msg: `L'option ${match.option.name} n'est plus disponible`,
+        path,
+        value: id
+      });
+      return;
+    }
+
+    countByGroup.set(match.group.id, (countByGroup.get(match.group.id) || 0) + 1);
+    chosen.push({
+      group: match.group._id,
+      groupName: match.group.name,
+      option: match.option._id,
+      name: match.option.name,
+      priceDelta: match.option.priceDelta
+    });
+  });
+
+  menuItem.optionGroups.forEach(group => {
+    const count = countByGroup.get(group.id) || 0;
+    const min = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (count < min) {
+      valid = false;
+      errors.push({
+        code: 'TOO_FEW_OPTIONS',
+        msg: `Choisissez au moins ${min} option(s) pour « ${group.name} »`,
+        path,
+        value: group.id
+      });
+    } else if (count > group.maxSelections) {
+      valid = false;
+      errors.push({
+        code: 'TOO_MANY_OPTIONS',
+        msg: `Choisissez au plus ${group.maxSelections} option(s) pour « ${group.name} »`,
+        path,
+        value: group.id
+      });
+    }
+  });
+
+  return valid ? chosen : null;
+};
+
+// Calcule le prix d'une commande à partir des plats enregistrés en base, au prix
+// des cartes actives à l'instant `at`. Les prix envoyés par le client sont ignorés.
+// Les plats contenant un allergène déclaré par le client sont signalés
+// (allergenConflicts) sans être refusés. Une adresse de livraison doit être
+// desservie par une zone, dont les frais et le minimum de commande s'appliquent.
+const priceOrder = async ({ items, deliveryAddress, allergies = [], at = new Date() }) => {
+  const errors = [];
+  const local = getLocalTime(at);
+
+  const ids = items
+    .map(item => item.menuItem)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const [menuItems, activeMenus] = await Promise.all([
+    MenuItem.find({ _id: { $in: ids } }),
+    getActiveMenus(local)
+  ]);
+  const prices = getMenuPrices(activeMenus);
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+
+  const lines = items.map((item, index) => {
+    const menuItem = menuItemsById.get(String(item.menuItem));
+
+    if (!menuItem) {
+      errors.push({
+        code: 'MENU_ITEM_NOT_FOUND',
+        msg: 'Cet élément du menu n\'existe pas',
+        path: `items[${index}].menuItem`,
+        value: item.menuItem
+      });
+      return null;
+    }
+
+    if (!menuItem.available) {
+      errors.push({
+        code: 'MENU_ITEM_UNAVAILABLE',
+        msg: `${menuItem.name} n'est plus disponible`,
+        path: `items[${index}].menuItem`,
+        value: item.menuItem
+      });
+      return null;
+    }
+
+    if (menuItem.soldOut) {
+      errors.push({
+        code: 'MENU_ITEM_SOLD_OUT',
+        msg: `${menuItem.name} est en rupture de stock`,
+        path: `items[${index}].menuItem`,
+        value: item.menuItem
+      });
+      return null;
+    }
+
+    if (!isScheduledAt(menuItem.schedule, local)) {
+      errors.push({
+        code: 'MENU_ITEM_NOT_SCHEDULED',
+        msg: `${menuItem.name} n'est pas proposé à cette heure`,
+        path: `items[${index}].menuItem`,
+        value: item.menuItem
+      });
+      return null;
+    }
+
+    const options = resolveOptions(menuItem, item.options, index, errors);
+    if (!options) {
+      return null;
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+    const basePrice = getEffectivePrice(menuItem, prices);
+    // Une réduction d'option ne rend jamais le prix négatif (prix de carte
+    // inférieur à la réduction, par exemple)
+    const price = Math.max(0, roundAmount(
+      basePrice + options.reduce((sum, option) => sum + option.priceDelta, 0)
+    ));
+
+    return {
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      options,
+      allergens: menuItem.allergens,
+      allergenConflicts: menuItem.allergens.filter(allergen => allergies.includes(allergen)),
+      quantity,
+      basePrice,
+      price,
+      lineTotal: roundAmount(price * quantity)
+    };
+  });
+
+  if (errors.length) {
+    throw pricingError(errors);
+  }
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const taxes = roundAmount(subtotal * pricingConfig.taxRate);
+
+  let delivery = null;
+  if (hasDeliveryAddress(deliveryAddress)) {
+    const quote = await quoteDelivery(deliveryAddress, subtotal, at);
+    if (quote.error) {
+      throw pricingError([quote.error]);
+    }
+    delivery = quote.delivery;
+  }
+
+  const fees = roundAmount(pricingConfig.serviceFee + (delivery ? delivery.fee : 0));
+
+  return {
+    items: lines,
+    subtotal,
+    taxes,
+    fees,
+    delivery,
+    totalAmount: roundAmount(subtotal + taxes + fees)
+  };
+};
+
+module.exports = {
+  roundAmount,
+  priceOrder
+};
@@ -0,0 +1,22 @@
+const { sendMail } = require('./mailer');
+const paymentsConfig = require('../config/payments');
+
+const manageUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reservations/manage?token=${token}`;
+
+const depositNotice = (deposit) => (deposit && deposit.status === 'pending'
+  ? `Un acompte de ${deposit.amount} ${paymentsConfig.currency} est demandé pour cette réservation : réglez-le ` +
+    `à l'aide du lien ci-dessous avant le ${deposit.dueAt.toLocaleString('fr-FR')}, faute de quoi elle sera annulée.\n`
+  : '');
+
+// Envoie au client le récapitulatif de sa réservation et son lien de gestion
+const sendReservationLink = (reservation, token) => sendMail({
+  to: reservation.email,
+  subject: 'Votre réservation',
+  text: `Bonjour ${reservation.name},\n\n` +
+    `Nous avons bien reçu votre réservation du ${reservation.date} à ${reservation.time}.\n` +
+    depositNotice(reservation.deposit) +
+    `Pour la consulter, la modifier ou l'annuler, utilisez ce lien :\n${manageUrl(token)}\n`
+});
+
+module.exports = { sendReservationLink };
@@ -0,0 +1,34 @@
+const reservationConfig = require('../config/reservations');
+const { expireUnpaidDeposits } = require('./deposits');
+const { markNoShows } = require('./noShows');
+
+let running = false;
+
+// Une passe : annulation des réservations à l'acompte impayé, puis no-shows.
+// Une passe encore en cours n'est pas relancée.
+const runReservationJobs = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const expired = await expireUnpaidDeposits();
+    const noShows = await markNoShows();
+    if (expired || noShows) {
+      console.log(`Réservations : ${expired} acompte(s) expiré(s), ${noShows} no-show(s)`);
+    }
+  } catch (err) {
+    console.error('Erreur lors du suivi des réservations:', err.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startReservationJobs = () => {
+  const timer = setInterval(runReservationJobs, reservationConfig.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+  runReservationJobs();
+  return timer;
+};
+
+module.exports = { runReservationJobs, startReservationJobs };
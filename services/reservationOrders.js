@@ -0,0 +1,127 @@
+const Order = require('../models/Order');
+const { priceOrder } = require('./pricing');
+const { transitionOrder } = require('./orderStatus');
+const { refundOrder } = require('./orderPayments');
+const { publishOrder } = require('./feed');
+
+// Statuts de réservation qui annulent les plats commandés
+const CLOSED_STATUSES = ['cancelled', 'rejected', 'no_show'];
+
+const reservationError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Plats d'une commande existante, au format attendu par priceOrder
+const itemsFromOrder = (order) => order.items.map(item => ({
+  menuItem: item.menuItem,
+  quantity: item.quantity,
+  options: item.options.map(option => option.option)
+}));
+
+// Adresse et horaire de la commande, tirés de la réservation
+const orderFields = (reservation) => ({
+  deliveryAddress: reservation.type === 'livraison'
+    ? { street: reservation.address, postalCode: reservation.postalCode, location: reservation.location }
+    : undefined,
+  scheduledFor: reservation.getSlotDate()
+});
+
+// Chiffre les plats au prix des cartes actives à l'heure du créneau ; une
+// livraison est soumise aux conditions de sa zone (voir priceOrder).
+const price = (reservation, items, allergies) => {
+  const fields = orderFields(reservation);
+  return priceOrder({ items, deliveryAddress: fields.deliveryAddress, allergies, at: fields.scheduledFor })
+    .then(pricing => ({ ...fields, allergies, ...pricing }));
+};
+
+// Prépare la commande des plats d'une réservation et la lie à celle-ci. La
+// commande est enregistrée après la réservation (voir saveReservationOrder).
+const buildReservationOrder = async (reservation, { items, allergies = [], user }) => {
+  const order = new Order({
+    user: reservation.user,
+    reservation: reservation._id,
+    ...(await price(reservation, items, allergies)),
+    statusHistory: [{ from: null, to: 'pending', changedBy: user }]
+  });
+  reservation.order = order._id;
+  return order;
+};
+
+// Met la commande liée en accord avec la réservation modifiée (créneau,
+// adresse) ou avec les nouveaux plats (`items`, une liste vide retire la
+// précommande). Les plats sont rechiffrés ; la commande ne doit pas être en
+// préparation. Renvoie la modification à enregistrer ({ order, cancel }) ou null.
+const updateReservationOrder = async (reservation, { items, allergies, user } = {}) => {
+  const order = reservation.order && await Order.findById(reservation.order);
+  const replacing = items && items.length;
+
+  if (!order || order.status === 'cancelled') {
+    reservation.order = undefined;
+    return replacing
+      ? { order: await buildReservationOrder(reservation, { items, allergies, user }) }
+      : null;
+  }
+  if (order.status !== 'pending') {
+    throw reservationError(409, 'Les plats de cette réservation sont déjà en préparation');
+  }
+
+  if (items && !replacing) {
+    reservation.order = undefined;
+    return { order, cancel: true };
+  }
+
+  order.set(await price(
+    reservation,
+    items || itemsFromOrder(order),
+    allergies || order.allergies
+  ));
+  return { order };
+};
+
+// Annule une commande encore annulable et rembourse ses paiements
+const cancelOrder = async (order, user) => {
+  if (!['pending', 'preparing'].includes(order.status)) {
+    return order;
+  }
+  const cancelled = await transitionOrder(order._id, 'cancelled', user);
+  await refundOrder(cancelled, { reason: 'Réservation annulée', user });
+  return cancelled;
+};
+
+// Enregistre une modification { order, cancel? } (nouvelle commande ou
+// commande rechiffrée, ou précommande retirée)
+const saveReservationOrder = async (change, user) => {
+  if (!change) {
+    return null;
+  }
+  const { order, cancel } = change;
+  if (cancel) {
+    return cancelOrder(order, user);
+  }
+
+  const created = order.isNew;
+  await order.save();
+  publishOrder(created ? 'order.created' : 'order.updated', order);
+  return order;
+};
+
+// Annule les plats d'une réservation (annulée, refusée, non honorée ou supprimée)
+const cancelReservationOrder = async (reservation, user) => {
+  const order = reservation.order && await Order.findById(reservation.order);
+  return order ? cancelOrder(order, user) : null;
+};
+
+// À appeler après un changement de statut de la réservation
+const closeReservationOrder = (reservation, user) => (CLOSED_STATUSES.includes(reservation.status)
+  ? cancelReservationOrder(reservation, user)
+  : null);
+
+module.exports = {
+  buildReservationOrder,
+  updateReservationOrder,
+  saveReservationOrder,
+  cancelReservationOrder,
+  closeReservationOrder
+};
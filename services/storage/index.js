@@ -0,0 +1,18 @@
+const mediaConfig = require('../../config/media');
+const createLocalStorage = require('./local');
+
+// Un adaptateur de stockage expose save(key, buffer, contentType), remove(key),
+// getUrl(key) et getKey(url). Ajouter un stockage distant (S3, etc.) revient à
+// enregistrer ici une nouvelle fabrique.
+const adapters = {
+  local: () => createLocalStorage({
+    root: mediaConfig.uploadDir,
+    publicPath: mediaConfig.publicPath
+  })
+};
+
+if (!adapters[mediaConfig.driver]) {
+  throw new Error(`Stockage inconnu : ${mediaConfig.driver}`);
+}
+
+module.exports = adapters[mediaConfig.driver]();
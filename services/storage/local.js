@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stockage des fichiers sur le disque local, servis en statique par Express
+const createLocalStorage = ({ root, publicPath }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Clé de fichier invalide : ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.getUrl(key);
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicPath}/${key}`;
+    },
+
+    // Retrouve la clé d'un fichier à partir de son URL publique
+    getKey(url) {
+      return url && url.startsWith(`${publicPath}/`) ? url.slice(publicPath.length + 1) : null;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const StreamTicket = require('../models/StreamTicket');
+
+// Durée de vie courte des jetons d'accès. L'ancienne variable JWT_EXPIRE
+// (souvent réglée à plusieurs jours) n'est volontairement plus lue.
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+// Délai pour ouvrir le flux temps réel avec un ticket
+const STREAM_TICKET_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenError = (message) => {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+};
+
+const signAccessToken = (user) => jwt.sign(
+  {
+    user: {
+      id: user.id,
+      role: user.role,
+      tokenVersion: user.tokenVersion
+    }
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+const createRefreshToken = async (user, { family, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Réponse d'authentification commune à l'inscription, la connexion et le rafraîchissement
+const issueTokens = async (user, options) => ({
+  token: signAccessToken(user),
+  refreshToken: await createRefreshToken(user, options),
+  user: {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  }
+});
+
+// Échange un jeton de rafraîchissement contre une nouvelle paire de jetons.
+// L'ancien jeton est révoqué ; s'il l'était déjà, il a été volé ou rejoué et
+// toute sa famille est révoquée.
+const rotateRefreshToken = async (token, { userAgent } = {}) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!stored || stored.expiresAt < new Date()) {
+    throw tokenError('Jeton de rafraîchissement invalide');
+  }
+
+  if (stored.revokedAt) {
+    await RefreshToken.updateMany(
+      { family: stored.family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    throw tokenError('Jeton de rafraîchissement révoqué');
+  }
+
+  const revoked = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (!revoked) {
+    throw tokenError('Jeton de rafraîchissement révoqué');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    throw tokenError('Utilisateur introuvable');
+  }
+
+  return issueTokens(user, { family: stored.family, userAgent });
+};
+
+const revokeRefreshToken = async (token) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Déconnexion de tous les appareils : révoque les jetons de rafraîchissement
+// et invalide les jetons d'accès encore valides
+const revokeAllSessions = async (userId) => {
+  await Promise.all([
+    RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+    User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+  ]);
+};
+
+// Ticket à usage unique pour ouvrir le flux temps réel. `user` est req.user
+// (jeton d'accès vérifié) ; le flux ne survit pas à ce jeton (`sessionExpiresAt`).
+const createStreamTicket = async (user, sessionExpiresAt) => {
+  const ticket = crypto.randomBytes(32).toString('hex');
+
+  await StreamTicket.create({
+    user: user.id,
+    tokenHash: hashToken(ticket),
+    tokenVersion: user.tokenVersion || 0,
+    sessionExpiresAt,
+    expiresAt: new Date(Date.now() + STREAM_TICKET_SECONDS * 1000)
+  });
+
+  return { ticket, expiresIn: STREAM_TICKET_SECONDS };
+};
+
+// Consomme un ticket et renvoie l'utilisateur du flux, si la session est toujours valide
+const redeemStreamTicket = async (ticket) => {
+  const stored = await StreamTicket.findOneAndDelete({
+    tokenHash: hashToken(String(ticket)),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!stored) {
+    throw tokenError('Ticket invalide ou expiré');
+  }
+
+  const user = await User.findById(stored.user).select('tokenVersion role');
+  if (!user || user.tokenVersion !== stored.tokenVersion) {
+    throw tokenError('Session expirée, veuillez vous reconnecter');
+  }
+
+  return {
+    user: { id: user.id, role: user.role, tokenVersion: user.tokenVersion },
+    sessionExpiresAt: stored.sessionExpiresAt
+  };
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createStreamTicket,
+  redeemStreamTicket
+};